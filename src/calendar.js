@@ -0,0 +1,562 @@
+/*! <segmented-input> MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+
+/**
+ * calendar.js
+ *
+ * An optional month-grid popover for date inputs, kept in sync with the
+ * year / month / day segments both ways:
+ *
+ *   import { DateCalendar } from 'segmented-input/src/calendar.js'
+ *   const picker = new SegmentedInput(el, presets.dateWithPicker)
+ *   new DateCalendar(picker, { min: '2024-01-01' })
+ *
+ * The calendar opens from the action segment right after a date's segments
+ * (the ⏱︎ of `dateWithPicker`) and from Alt+↓ in any of them.  `dateRange`
+ * gets one calendar per half; each half is bounded by the other, so the end
+ * date cannot be picked before the start date.
+ *
+ * Keys inside the grid: arrows move by day / week, Home / End to the start /
+ * end of the week, PageUp / PageDown by month (with Shift by year), Enter or
+ * Space picks, Escape closes.  Focus then returns to the day segment.
+ *
+ * Style it through the `si-calendar*` classes; the defaults are injected once
+ * with zero specificity so any rule overrides them.
+ *
+ * @license MIT
+ */
+
+const DEFAULT_STYLES = `
+:where(.si-calendar) {
+  position: fixed; z-index: 2147483647; box-sizing: border-box; padding: 6px;
+  background: Canvas; color: CanvasText; border: 1px solid GrayText; border-radius: 4px;
+  box-shadow: 0 2px 8px rgb(0 0 0 / .2); font: 14px system-ui, sans-serif;
+}
+:where(.si-calendar-header) { display: flex; align-items: center; justify-content: space-between; gap: 4px; margin-bottom: 4px; }
+:where(.si-calendar-title) { font-weight: 600; }
+:where(.si-calendar-nav) { font: inherit; padding: 0 8px; }
+:where(.si-calendar-grid) { border-collapse: collapse; }
+:where(.si-calendar-grid th) { font-weight: normal; font-size: .85em; opacity: .7; padding: 2px; }
+:where(.si-calendar-day) { width: 2em; height: 2em; padding: 0; text-align: center; cursor: pointer; border-radius: 4px; }
+:where(.si-calendar-day[aria-current="date"]) { outline: 1px solid GrayText; outline-offset: -1px; }
+:where(.si-calendar-day[aria-selected="true"]) { background: Highlight; color: HighlightText; }
+:where(.si-calendar-day[aria-disabled="true"]) { opacity: .35; cursor: default; }
+`
+
+/** Counter for unique calendar ids (aria-controls / aria-labelledby). */
+let calendarCount = 0
+
+/** Segment labels recognised as date fields ('year', 'start month', …). */
+const FIELD_LABEL = /(?:^|\s)(year|month|day)$/i
+
+/**
+ * Add the default styles to `doc` once.
+ * @param {Document} doc
+ */
+function injectStyles (doc) {
+  if (doc.querySelector('style[data-si-calendar]')) return
+  const style = doc.createElement('style')
+  style.dataset.siCalendar = ''
+  style.textContent = DEFAULT_STYLES
+  doc.head.append(style)
+}
+
+/**
+ * `YYYY-MM-DD` for the given fields.
+ * @param {number} year
+ * @param {number} month - 1-based
+ * @param {number} day
+ * @returns {string}
+ */
+function isoDay (year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * UTC midnight of an ISO day (years 0–99 stay literal).
+ * @param {string} iso
+ * @returns {Date}
+ */
+function dayDate (iso) {
+  const [year, month, day] = iso.split('-').map(Number)
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+  return date
+}
+
+/**
+ * The ISO day of a Date's UTC calendar day.
+ * @param {Date} date
+ * @returns {string}
+ */
+function dateIso (date) {
+  return isoDay(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate())
+}
+
+/**
+ * Move an ISO day by `days`, or by `months` keeping the day of the month
+ * where it exists (Jan 31 + 1 month → Feb 28/29).
+ * @param {string} iso
+ * @param {{days?: number, months?: number}} by
+ * @returns {string}
+ */
+function shiftDay (iso, { days = 0, months = 0 }) {
+  const date = dayDate(iso)
+  if (months) {
+    const day = date.getUTCDate()
+    date.setUTCDate(1)
+    date.setUTCMonth(date.getUTCMonth() + months)
+    const last = new Date(date)
+    last.setUTCMonth(last.getUTCMonth() + 1, 0)
+    date.setUTCDate(Math.min(day, last.getUTCDate()))
+  }
+  date.setUTCDate(date.getUTCDate() + days)
+  return dateIso(date)
+}
+
+/**
+ * A `min` / `max` option as an ISO day, or null.
+ * @param {Date|string|null|undefined} bound
+ * @returns {string|null}
+ */
+function boundIso (bound) {
+  if (bound instanceof Date) return isNaN(bound) ? null : dateIso(bound)
+  return typeof bound === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(bound) ? bound : null
+}
+
+/**
+ * Find the date fields of a segment list by their labels: each run of
+ * 'year', 'month' and 'day' labels (in any order) is one date.
+ * @param {import('./segmented-input.js').Segment[]} segments
+ * @returns {Array<{year: number, month: number, day: number}>}
+ */
+function findDates (segments) {
+  const dates = []
+  let current = {}
+  segments.forEach((seg, i) => {
+    const field = seg.label?.match(FIELD_LABEL)?.[1].toLowerCase()
+    if (!field) return
+    if (field in current) current = {}
+    current[field] = i
+    if ('year' in current && 'month' in current && 'day' in current) {
+      dates.push(current)
+      current = {}
+    }
+  })
+  return dates
+}
+
+class DateCalendar {
+  #instance
+  #locale
+  #weekStart
+  #min
+  #max
+  #dates
+  /** Action segments whose `onClick` this calendar installed. */
+  #triggers = []
+  /** @type {HTMLElement|null} */
+  #element = null
+  #id
+  /** Index into #dates of the date being edited, or -1 while closed. */
+  #date = -1
+  /** ISO day that has the grid focus (its month is the one shown). */
+  #focused = ''
+  #onKeydown
+  #onSegmentChange
+  #onInputBlur
+
+  /**
+   * @param {import('./segmented-input.js').SegmentedInput} instance
+   * @param {object} [options]
+   * @param {Date|string} [options.min] - earliest pickable day (`YYYY-MM-DD` or a Date at UTC midnight)
+   * @param {Date|string} [options.max] - latest pickable day
+   * @param {string} [options.locale] - BCP 47 tag for month and weekday names;
+   *   defaults to the user's locale
+   * @param {number} [options.weekStart] - first column, 0 (Sunday) to 6;
+   *   defaults to the locale's first day of the week
+   * @param {Array<{year: number, month: number, day: number}>} [options.dates]
+   *   Segment indexes of each date; found from the segment labels when omitted.
+   */
+  constructor (instance, { min, max, locale, weekStart, dates } = {}) {
+    this.#instance = instance
+    this.#dates = dates ?? findDates(instance.segments)
+    if (!this.#dates.length) throw new TypeError('DateCalendar: no year, month and day segments found')
+    this.#locale = new Intl.DateTimeFormat(locale).resolvedOptions().locale
+    if (weekStart === undefined) {
+      let info
+      try { info = new Intl.Locale(this.#locale).getWeekInfo?.() ?? new Intl.Locale(this.#locale).weekInfo } catch {}
+      weekStart = (info?.firstDay ?? 1) % 7
+    }
+    this.#weekStart = weekStart
+    this.#min = boundIso(min)
+    this.#max = boundIso(max)
+    this.#id = `si-calendar-${++calendarCount}`
+
+    // The action segment right after a date's segments opens its calendar.
+    this.#dates.forEach((date, i) => {
+      const after = Math.max(date.year, date.month, date.day) + 1
+      const seg = instance.segments[after]
+      if (seg?.type === 'action' && typeof seg.onClick !== 'function') {
+        this.#triggers.push(after)
+        instance.updateSegment(after, { onClick: () => this.show(i) })
+      }
+    })
+
+    this.#onKeydown = this.#onInputKeydown.bind(this)
+    this.#onSegmentChange = this.#sync.bind(this)
+    this.#onInputBlur = event => {
+      if (!this.#element?.contains(event.relatedTarget)) this.hide()
+    }
+    // Captured on the document so it runs before the instance's own keydown
+    // handler, which would otherwise step the segment on Alt+↓.
+    instance.input.ownerDocument.addEventListener('keydown', this.#onKeydown, true)
+    instance.input.addEventListener('blur', this.#onInputBlur)
+    instance.addEventListener('segmentchange', this.#onSegmentChange)
+  }
+
+  /** Whether the calendar is showing. */
+  get open () {
+    return this.#date !== -1
+  }
+
+  /**
+   * Show the month of date `index` (the first date by default, or the one
+   * holding the caret) and move the focus into the grid.  Does nothing while
+   * the input is read-only or one of the date's fields is readonly / disabled.
+   * @param {number} [index]
+   */
+  show (index = this.#dateAtCaret() ?? 0) {
+    const { input, segments } = this.#instance
+    if (input.readOnly || input.disabled) return
+    // A pick writes year, month and day together, so one locked field blocks it.
+    if (Object.values(this.#dates[index]).some(i => segments[i]?.readonly || segments[i]?.disabled)) return
+    const doc = this.#instance.input.ownerDocument
+    injectStyles(doc)
+    this.#element ??= this.#build(doc)
+    this.#date = index
+    this.#focused = this.#clamp(this.#dateValue(index) ?? dateIso(this.#today()))
+    this.#render()
+
+    const rect = this.#instance.input.getBoundingClientRect()
+    this.#element.style.left = `${rect.left}px`
+    this.#element.style.top = `${rect.bottom}px`
+    doc.body.append(this.#element)
+    this.#instance.input.setAttribute('aria-controls', this.#id)
+    this.#instance.input.setAttribute('aria-expanded', 'true')
+    // Deferred: opening from a click on the input would otherwise lose the
+    // focus again to the instance's own (deferred) segment selection.
+    setTimeout(() => this.#focusCell(), 0)
+  }
+
+  /**
+   * Hide the calendar without picking anything.
+   * @param {boolean} [returnFocus=false] - focus the day segment again
+   */
+  hide (returnFocus = false) {
+    if (!this.open) return
+    const { day } = this.#dates[this.#date]
+    this.#date = -1
+    this.#element.remove()
+    this.#instance.input.setAttribute('aria-expanded', 'false')
+    if (returnFocus) {
+      this.#instance.input.focus()
+      this.#instance.focusSegment(day)
+    }
+  }
+
+  /** Close the calendar and detach it from the instance. */
+  destroy () {
+    this.hide()
+    const { input } = this.#instance
+    input.ownerDocument.removeEventListener('keydown', this.#onKeydown, true)
+    input.removeEventListener('blur', this.#onInputBlur)
+    input.removeAttribute('aria-controls')
+    input.removeAttribute('aria-expanded')
+    this.#instance.removeEventListener('segmentchange', this.#onSegmentChange)
+    for (const index of this.#triggers) this.#instance.updateSegment(index, { onClick: undefined })
+    this.#element = null
+  }
+
+  /**
+   * Create the (detached) popover: a header with the month and previous /
+   * next buttons over a `role="grid"` table.
+   * @param {Document} doc
+   * @returns {HTMLElement}
+   */
+  #build (doc) {
+    const element = doc.createElement('div')
+    element.id = this.#id
+    element.className = 'si-calendar'
+    element.setAttribute('role', 'dialog')
+    element.setAttribute('aria-labelledby', `${this.#id}-title`)
+
+    const header = doc.createElement('div')
+    header.className = 'si-calendar-header'
+    const button = (label, text, months) => {
+      const nav = doc.createElement('button')
+      nav.type = 'button'
+      nav.className = 'si-calendar-nav'
+      nav.setAttribute('aria-label', label)
+      nav.textContent = text
+      nav.addEventListener('click', () => this.#moveFocus(shiftDay(this.#focused, { months }), false))
+      return nav
+    }
+    const title = doc.createElement('span')
+    title.id = `${this.#id}-title`
+    title.className = 'si-calendar-title'
+    title.setAttribute('aria-live', 'polite')
+    header.append(button('Previous month', '‹', -1), title, button('Next month', '›', 1))
+
+    const grid = doc.createElement('table')
+    grid.className = 'si-calendar-grid'
+    grid.setAttribute('role', 'grid')
+    grid.setAttribute('aria-labelledby', title.id)
+    const weekdays = doc.createElement('tr')
+    const short = new Intl.DateTimeFormat(this.#locale, { weekday: 'short', timeZone: 'UTC' })
+    const long = new Intl.DateTimeFormat(this.#locale, { weekday: 'long', timeZone: 'UTC' })
+    for (let i = 0; i < 7; i++) {
+      // 2001-01-07 was a Sunday.
+      const weekday = Date.UTC(2001, 0, 7 + (this.#weekStart + i) % 7)
+      const th = doc.createElement('th')
+      th.scope = 'col'
+      th.abbr = long.format(weekday)
+      th.textContent = short.format(weekday)
+      weekdays.append(th)
+    }
+    const head = doc.createElement('thead')
+    head.append(weekdays)
+    grid.append(head, doc.createElement('tbody'))
+    element.append(header, grid)
+
+    // mousedown, not click: keep the focus where it is until the pick moves it.
+    grid.addEventListener('mousedown', event => {
+      const cell = event.target.closest?.('[data-date]')
+      if (!cell) return
+      event.preventDefault()
+      if (cell.getAttribute('aria-disabled') !== 'true') this.#pick(cell.dataset.date)
+    })
+    element.addEventListener('keydown', event => this.#onGridKeydown(event))
+    element.addEventListener('focusout', event => {
+      const to = event.relatedTarget
+      if (to !== this.#instance.input && !element.contains(to)) this.hide()
+    })
+    return element
+  }
+
+  /** Redraw the month of the focused day. */
+  #render () {
+    const element = this.#element
+    const doc = element.ownerDocument
+    const [year, month] = this.#focused.split('-').map(Number)
+    const first = isoDay(year, month, 1)
+    element.querySelector('.si-calendar-title').textContent =
+      new Intl.DateTimeFormat(this.#locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(dayDate(first))
+
+    const label = new Intl.DateTimeFormat(this.#locale, { dateStyle: 'full', timeZone: 'UTC' })
+    const selected = this.#dateValue(this.#date)
+    const today = dateIso(this.#today())
+    const [min, max] = this.#bounds()
+    const lead = (dayDate(first).getUTCDay() - this.#weekStart + 7) % 7
+    const body = element.querySelector('tbody')
+    const rows = []
+    for (let week = 0; week < 6; week++) {
+      const row = doc.createElement('tr')
+      for (let i = 0; i < 7; i++) {
+        const cell = doc.createElement('td')
+        cell.setAttribute('role', 'gridcell')
+        const iso = shiftDay(first, { days: week * 7 + i - lead })
+        if (Number(iso.slice(5, 7)) === month) {
+          cell.className = 'si-calendar-day'
+          cell.dataset.date = iso
+          cell.textContent = String(Number(iso.slice(8)))
+          cell.tabIndex = iso === this.#focused ? 0 : -1
+          cell.setAttribute('aria-label', label.format(dayDate(iso)))
+          cell.setAttribute('aria-selected', String(iso === selected))
+          if (iso === today) cell.setAttribute('aria-current', 'date')
+          if (iso < min || iso > max) cell.setAttribute('aria-disabled', 'true')
+        }
+        row.append(cell)
+      }
+      rows.push(row)
+    }
+    body.replaceChildren(...rows)
+  }
+
+  /**
+   * Handle keys in the grid (and Escape anywhere in the popover).
+   * @param {KeyboardEvent} event
+   */
+  #onGridKeydown (event) {
+    if (event.key === 'Escape') {
+      event.preventDefault()
+      this.hide(true)
+      return
+    }
+    if (!event.target.dataset?.date) return
+    const day = this.#focused
+    const weekday = (dayDate(day).getUTCDay() - this.#weekStart + 7) % 7
+    let next
+    switch (event.key) {
+      case 'ArrowLeft': next = shiftDay(day, { days: -1 }); break
+      case 'ArrowRight': next = shiftDay(day, { days: 1 }); break
+      case 'ArrowUp': next = shiftDay(day, { days: -7 }); break
+      case 'ArrowDown': next = shiftDay(day, { days: 7 }); break
+      case 'Home': next = shiftDay(day, { days: -weekday }); break
+      case 'End': next = shiftDay(day, { days: 6 - weekday }); break
+      case 'PageUp': next = shiftDay(day, { months: event.shiftKey ? -12 : -1 }); break
+      case 'PageDown': next = shiftDay(day, { months: event.shiftKey ? 12 : 1 }); break
+      case 'Enter':
+      case ' ':
+        event.preventDefault()
+        if (event.target.getAttribute('aria-disabled') !== 'true') this.#pick(day)
+        return
+      default:
+        return
+    }
+    event.preventDefault()
+    this.#moveFocus(next, true)
+  }
+
+  /**
+   * Alt+↓ in a date's segments opens its calendar; Escape in the input
+   * closes an open one.
+   * @param {KeyboardEvent} event
+   */
+  #onInputKeydown (event) {
+    if (event.target !== this.#instance.input) return
+    if (event.key === 'Escape' && this.open) {
+      event.preventDefault()
+      event.stopImmediatePropagation()
+      this.hide()
+      return
+    }
+    if (event.key !== 'ArrowDown' || !event.altKey) return
+    const index = this.#dateAtCaret()
+    if (index === null) return
+    event.preventDefault()
+    event.stopImmediatePropagation()
+    this.show(index)
+  }
+
+  /**
+   * Make `iso` (kept within the year range) the focused day, redrawing when
+   * the month changes.
+   * @param {string} iso
+   * @param {boolean} focus - move the DOM focus to its cell
+   */
+  #moveFocus (iso, focus) {
+    const [min, max] = this.#yearRange()
+    this.#focused = iso < min ? min : iso > max ? max : iso
+    this.#render()
+    if (focus) this.#focusCell()
+  }
+
+  /** Move the DOM focus to the focused day's cell. */
+  #focusCell () {
+    this.#element?.querySelector(`[data-date="${this.#focused}"]`)?.focus()
+  }
+
+  /**
+   * Write `iso` into the open date's segments and close.
+   * @param {string} iso
+   */
+  #pick (iso) {
+    const { year, month, day } = this.#dates[this.#date]
+    const [y, m, d] = iso.split('-')
+    this.#instance.setSegmentValues({ [year]: y, [month]: m, [day]: d })
+    this.hide(true)
+  }
+
+  /**
+   * Follow edits made in the segments while the calendar is open.
+   */
+  #sync () {
+    if (!this.open) return
+    const value = this.#dateValue(this.#date)
+    const hadFocus = this.#element.contains(this.#element.ownerDocument.activeElement)
+    if (value) this.#focused = value
+    this.#render()
+    if (hadFocus) this.#focusCell()
+  }
+
+  /**
+   * The ISO day held by date `index`, or null while it is incomplete or
+   * does not exist (2023-02-30).
+   * @param {number} index
+   * @returns {string|null}
+   */
+  #dateValue (index) {
+    const fields = this.#dates[index]
+    if (!fields || !this.#instance.input.value) return null
+    const [year, month, day] = ['year', 'month', 'day'].map(f => this.#instance.getSegmentValue(fields[f]))
+    if (![year, month, day].every(v => /^\d+$/.test(v))) return null
+    const iso = isoDay(year, month, day)
+    return dateIso(dayDate(iso)) === iso && Number(year) >= 1 ? iso : null
+  }
+
+  /**
+   * Pickable range of the open date: the `min` / `max` options and the year
+   * segment's range, narrowed by the neighbouring dates (a range's end date
+   * cannot come before its start).
+   * @returns {[string, string]}
+   */
+  #bounds () {
+    let [min, max] = this.#yearRange()
+    if (this.#min && this.#min > min) min = this.#min
+    if (this.#max && this.#max < max) max = this.#max
+    const before = this.#dateValue(this.#date - 1)
+    const after = this.#dateValue(this.#date + 1)
+    if (before && before > min) min = before
+    if (after && after < max) max = after
+    return [min, max]
+  }
+
+  /**
+   * First and last day allowed by the year segment's numeric `min` / `max`.
+   * @returns {[string, string]}
+   */
+  #yearRange () {
+    const seg = this.#instance.segments[this.#dates[this.#date].year]
+    const first = typeof seg.min === 'number' ? Math.max(seg.min, 1) : 1
+    const last = typeof seg.max === 'number' ? Math.min(seg.max, 9999) : 9999
+    return [isoDay(first, 1, 1), isoDay(last, 12, 31)]
+  }
+
+  /**
+   * `iso` moved into the pickable range.
+   * @param {string} iso
+   * @returns {string}
+   */
+  #clamp (iso) {
+    const [min, max] = this.#bounds()
+    return iso < min ? min : iso > max ? max : iso
+  }
+
+  /**
+   * Today's local calendar day, as a Date at UTC midnight.
+   * @returns {Date}
+   */
+  #today () {
+    const now = new Date()
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()))
+  }
+
+  /**
+   * Index of the date whose segments hold the caret, or null.
+   * @returns {number|null}
+   */
+  #dateAtCaret () {
+    const { input } = this.#instance
+    const pos = input.selectionStart
+    if (pos == null || !input.value) return null
+    const ranges = this.#instance.getSegmentRanges()
+    const index = this.#dates.findIndex(fields =>
+      ['year', 'month', 'day'].some(f => ranges[fields[f]] && pos >= ranges[fields[f]].start && pos <= ranges[fields[f]].end),
+    )
+    return index === -1 ? null : index
+  }
+}
+
+export {
+  DateCalendar,
+}
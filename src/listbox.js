@@ -0,0 +1,235 @@
+/*! <segmented-input> MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+
+/**
+ * listbox.js
+ *
+ * The popup list behind the `listbox` option: an accessible `role="listbox"`
+ * anchored under an `options` segment.  Pass the class in to turn it on:
+ *
+ *   import { SegmentListbox } from 'segmented-input/src/listbox.js'
+ *   new SegmentedInput(el, { ...presets.currency, listbox: SegmentListbox })
+ *
+ * Focus stays in the `<input>` (which points at the active option with
+ * `aria-activedescendant`), so SegmentedInput forwards its keydown events here
+ * while the list is open.
+ *
+ * Style it through the `si-listbox` / `si-listbox-option` classes; the
+ * defaults are injected once with zero specificity so any rule overrides them.
+ *
+ * @license MIT
+ */
+
+/** Typed characters within this many ms extend the type-ahead search. */
+const TYPE_AHEAD_MS = 500
+
+const DEFAULT_STYLES = `
+:where(.si-listbox) {
+  position: fixed; z-index: 2147483647; box-sizing: border-box; margin: 0; padding: 2px 0;
+  max-height: 16em; overflow-y: auto; background: Canvas; color: CanvasText;
+  border: 1px solid GrayText; border-radius: 4px; box-shadow: 0 2px 8px rgb(0 0 0 / .2); cursor: default;
+}
+:where(.si-listbox-option) { padding: 2px 12px; white-space: pre; }
+:where(.si-listbox-option[aria-selected="true"]) { background: Highlight; color: HighlightText; }
+`
+
+/** Counter for unique listbox ids (aria-controls / aria-activedescendant). */
+let listboxCount = 0
+
+/**
+ * Add the default styles to `doc` once.
+ * @param {Document} doc
+ */
+function injectStyles (doc) {
+  if (doc.querySelector('style[data-si-listbox]')) return
+  const style = doc.createElement('style')
+  style.dataset.siListbox = ''
+  style.textContent = DEFAULT_STYLES
+  doc.head.append(style)
+}
+
+class SegmentListbox {
+  #input
+  #onPick
+  /** @type {HTMLElement|null} */
+  #element = null
+  #id
+  #options = []
+  #active = -1
+  #typed = ''
+  #typedAt = 0
+
+  /**
+   * @param {HTMLInputElement} input - the input the list belongs to
+   * @param {(option: string) => void} onPick - called with the chosen option
+   */
+  constructor (input, onPick) {
+    this.#input = input
+    this.#onPick = onPick
+    this.#id = `si-listbox-${++listboxCount}`
+  }
+
+  /** Whether the list is showing. */
+  get open () {
+    return !!this.#element?.isConnected
+  }
+
+  /**
+   * Show `options` with `current` highlighted, its top-left corner at
+   * (`left`, `top`) in viewport coordinates.
+   * @param {string[]} options
+   * @param {string} current
+   * @param {{left: number, top: number}} position
+   */
+  show (options, current, { left, top }) {
+    const doc = this.#input.ownerDocument
+    injectStyles(doc)
+    if (!this.#element) {
+      this.#element = doc.createElement('div')
+      this.#element.id = this.#id
+      this.#element.className = 'si-listbox'
+      this.#element.setAttribute('role', 'listbox')
+    }
+    const element = this.#element
+    this.#options = options
+    element.replaceChildren(...options.map((option, i) => {
+      const item = doc.createElement('div')
+      item.id = `${this.#id}-${i}`
+      item.className = 'si-listbox-option'
+      item.setAttribute('role', 'option')
+      item.setAttribute('aria-selected', 'false')
+      item.textContent = option
+      // mousedown, not click: keep the focus (and the selection) in the input.
+      item.addEventListener('mousedown', event => {
+        event.preventDefault()
+        this.#pick(i)
+      })
+      return item
+    }))
+    element.style.font = getComputedStyle(this.#input).font
+    element.style.left = `${left}px`
+    element.style.top = `${top}px`
+    doc.body.append(element)
+
+    this.#input.setAttribute('aria-controls', this.#id)
+    this.#input.setAttribute('aria-expanded', 'true')
+    this.#typed = ''
+    this.#active = -1
+    this.#highlight(Math.max(0, options.indexOf(current)))
+  }
+
+  /** Close the list without picking anything. */
+  hide () {
+    if (!this.open) return
+    this.#element.remove()
+    this.#input.setAttribute('aria-expanded', 'false')
+    this.#input.removeAttribute('aria-activedescendant')
+  }
+
+  /**
+   * Handle a keydown forwarded from the input while the list is open.
+   * ↑/↓/Home/End move, Enter or Alt+↑ pick, Escape closes and printable keys
+   * search the options (type-ahead).  Any other key closes the list.
+   * @param {KeyboardEvent} event
+   * @returns {boolean} whether the key was consumed
+   */
+  keydown (event) {
+    const last = this.#options.length - 1
+    switch (event.key) {
+      case 'ArrowDown':
+        this.#highlight(Math.min(this.#active + 1, last))
+        break
+      case 'ArrowUp':
+        if (event.altKey) this.#pick(this.#active)
+        else this.#highlight(Math.max(this.#active - 1, 0))
+        break
+      case 'Home':
+        this.#highlight(0)
+        break
+      case 'End':
+        this.#highlight(last)
+        break
+      case 'Enter':
+        this.#pick(this.#active)
+        break
+      case 'Escape':
+        this.hide()
+        break
+      case 'Shift':
+      case 'Control':
+      case 'Alt':
+      case 'Meta':
+        return false
+      default:
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          this.#typeAhead(event.key)
+          break
+        }
+        this.hide()
+        return false
+    }
+    event.preventDefault()
+    return true
+  }
+
+  /** Close the list and forget its element. */
+  destroy () {
+    this.hide()
+    this.#input.removeAttribute('aria-controls')
+    this.#input.removeAttribute('aria-expanded')
+    this.#element = null
+  }
+
+  /**
+   * Highlight the first option starting with everything typed in the last
+   * TYPE_AHEAD_MS ('Br' → 'Brazil').  Repeating one character cycles through
+   * the options starting with it.
+   * @param {string} char
+   */
+  #typeAhead (char) {
+    const now = Date.now()
+    this.#typed = now - this.#typedAt > TYPE_AHEAD_MS ? char : this.#typed + char
+    this.#typedAt = now
+    const typed = this.#typed.toLowerCase()
+    const repeated = [...typed].every(c => c === typed[0])
+    const count = this.#options.length
+    // A repeated character moves on from the current option; a longer search may keep it.
+    const from = repeated ? this.#active + 1 : this.#active
+    for (let n = 0; n < count; n++) {
+      const i = (from + n) % count
+      const option = this.#options[i].toLowerCase()
+      if (option.startsWith(typed) || (repeated && option.startsWith(typed[0]))) {
+        this.#highlight(i)
+        return
+      }
+    }
+  }
+
+  /**
+   * Make option `index` the active one.
+   * @param {number} index
+   */
+  #highlight (index) {
+    const items = this.#element.children
+    items[this.#active]?.setAttribute('aria-selected', 'false')
+    this.#active = index
+    const item = items[index]
+    if (!item) return
+    item.setAttribute('aria-selected', 'true')
+    item.scrollIntoView?.({ block: 'nearest' })
+    this.#input.setAttribute('aria-activedescendant', item.id)
+  }
+
+  /**
+   * Close the list and report option `index`.
+   * @param {number} index
+   */
+  #pick (index) {
+    const option = this.#options[index]
+    this.hide()
+    if (option !== undefined) this.#onPick(option)
+  }
+}
+
+export {
+  SegmentListbox,
+}
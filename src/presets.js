@@ -21,10 +21,10 @@ const ipv4 = {
   pattern: '^(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)(\\.(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)){3}$',
   inputmode: 'numeric',
   segments: [
-    { value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
-    { value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
-    { value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
-    { value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
+    { label: 'octet 1', value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
+    { label: 'octet 2', value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
+    { label: 'octet 3', value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
+    { label: 'octet 4', value: '0', placeholder: '--', min: 0, max: 255, step: 1, pattern: /\d/ },
   ],
   format (values) {
     return values.join('.')
@@ -41,20 +41,248 @@ const ipv4 = {
 // IPv6  – e.g. 2001:0db8:85a3:0000:0000:8a2e:0370:7334
 // Segment values are stored as hex strings; radix: 16 for correct ↑/↓ counting.
 // placeholder '----' uses '-' which is blocked by pattern, so '0000' is always valid.
+// parse also accepts the shorthand forms (`2001:db8::1`, `::ffff:192.168.0.1`),
+// so compressed text typed, pasted or set on the input is expanded to 8 groups.
 // ---------------------------------------------------------------------------
+
+/** Trailing dotted-quad of a mixed IPv6 address (`::ffff:192.168.0.1`). */
+const IPV4_SUFFIX = /(^|:)(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/
+
+/**
+ * The 8 groups of an IPv6 address, with `::` expanded and a trailing
+ * dotted-quad turned into its two hex groups.  Text without `::` is padded
+ * with zero groups like the preset always did; an out-of-range dotted-quad
+ * leaves its two groups unfilled (`'----'`) so the input is flagged invalid.
+ * Text that is no address at all – a second `::`, or more than 8 groups –
+ * comes out as 8 unfilled groups rather than being cut down to a valid one.
+ * @param {string} str
+ * @returns {string[]}
+ */
+function ipv6Groups (str) {
+  let text = String(str).trim()
+  let suffix = []
+  const quad = text.match(IPV4_SUFFIX)
+  if (quad) {
+    const octets = quad.slice(2).map(Number)
+    suffix = octets.every(n => n <= 255)
+      ? [octets[0] * 256 + octets[1], octets[2] * 256 + octets[3]].map(n => n.toString(16))
+      : ['----', '----']
+    text = text.slice(0, quad.index)
+  }
+  const parts = text.split('::')
+  const [head, tail] = parts.map(part => part ? part.split(':') : [])
+  const invalid = Array(8).fill('----')
+  if (parts.length > 2) return invalid
+  let groups
+  if (tail) {
+    const gap = 8 - head.length - tail.length - suffix.length
+    if (gap < 1) return invalid
+    groups = [...head, ...Array(gap).fill('0'), ...tail, ...suffix]
+  } else {
+    groups = [...head, ...suffix]
+    if (groups.length > 8) return invalid
+    while (groups.length < 8) groups.splice(groups.length - suffix.length, 0, '0')
+  }
+  return groups.map(g => g.padStart(4, '0'))
+}
+
+/**
+ * RFC 5952 text of 8 hex groups: lowercase, no leading zeros, the longest run
+ * of two or more zero groups (the first on a tie) shortened to `::`, and
+ * IPv4-mapped addresses (`::ffff:0:0/96`) ending in a dotted-quad.
+ * @param {string[]} groups
+ * @returns {string}
+ */
+function compressGroups (groups) {
+  const numbers = groups.map(g => /^[\da-f]{1,4}$/i.test(g) ? parseInt(g, 16) : NaN)
+  if (numbers.some(isNaN)) return groups.join(':')
+  if (numbers.slice(0, 5).every(n => n === 0) && numbers[5] === 0xFFFF) {
+    return `::ffff:${numbers[6] >> 8}.${numbers[6] & 255}.${numbers[7] >> 8}.${numbers[7] & 255}`
+  }
+  let start = -1
+  let length = 0
+  for (let i = 0, run = 0; i < 8; i++) {
+    run = numbers[i] === 0 ? run + 1 : 0
+    if (run > length) {
+      length = run
+      start = i - run + 1
+    }
+  }
+  const hex = numbers.map(n => n.toString(16))
+  if (length < 2) return hex.join(':')
+  return `${hex.slice(0, start).join(':')}::${hex.slice(start + length).join(':')}`
+}
+
+/**
+ * Full form of an IPv6 address: 8 zero-padded groups.
+ * @example expandIPv6('2001:db8::1') // → '2001:0db8:0000:0000:0000:0000:0000:0001'
+ * @param {string} address
+ * @returns {string}
+ */
+function expandIPv6 (address) {
+  return ipv6Groups(address).join(':')
+}
+
+/**
+ * Canonical RFC 5952 form of an IPv6 address.
+ * @example compressIPv6('2001:0DB8:0000:0000:0000:0000:0000:0001') // → '2001:db8::1'
+ * @param {string} address
+ * @returns {string}
+ */
+function compressIPv6 (address) {
+  return compressGroups(ipv6Groups(address))
+}
+
 const ipv6 = {
   inputmode: 'text',
   autocapitalize: 'characters',
-  segments: Array.from({ length: 8 }, () => ({
-    value: '0000', placeholder: '----', min: 0, max: 0xFFFF, step: 1, radix: 16, pattern: /[0-9a-fA-F]/,
+  segments: Array.from({ length: 8 }, (_, i) => ({
+    label: `group ${i + 1}`, value: '0000', placeholder: '----', min: 0, max: 0xFFFF, step: 1, radix: 16, pattern: /[0-9a-fA-F]/,
   })),
+  validate (values) {
+    const bad = values.findIndex(v => !/^[\da-f]{1,4}$/i.test(v))
+    return bad === -1 ? '' : `Group ${bad + 1} must be 1 to 4 hex digits.`
+  },
   format (values) {
     return values.map(v => v.padStart(4, '0')).join(':')
   },
   parse (str) {
-    const parts = str.split(':')
-    while (parts.length < 8) parts.push('0000')
-    return parts.slice(0, 8).map(p => p.padStart(4, '0'))
+    return ipv6Groups(str)
+  },
+  // A pasted shorthand address replaces every group.
+  normalizePaste (text) {
+    return text.includes('::') || IPV4_SUFFIX.test(text) ? expandIPv6(text) : text
+  },
+  toObject (values) {
+    return { full: values.map(v => v.padStart(4, '0')).join(':'), compressed: compressGroups(values) }
+  },
+  fromObject ({ full, compressed }) {
+    return ipv6Groups(full ?? compressed)
+  },
+}
+
+// IPv6 shown in its RFC 5952 compressed form while the input is not focused
+// (and returned that way by `value`); focusing expands it to all 8 groups.
+const ipv6Compressed = {
+  ...ipv6,
+  serialize: compressGroups,
+  blurFormat: compressGroups,
+}
+
+// ---------------------------------------------------------------------------
+// Network presets built on ipv4 / ipv6
+//   ipv4Cidr   10.0.0.0/8
+//   ipv6Cidr   2001:0db8:0000:0000:0000:0000:0000:0000/32
+//   hostPort   192.168.1.10:8080
+//   ipv4Range  10.0.0.1 - 10.0.0.254
+// ---------------------------------------------------------------------------
+
+/**
+ * 32-bit number of four octet values.
+ * @param {string[]} octets
+ * @returns {number}
+ */
+function ipv4Number (octets) {
+  return octets.reduce((n, octet) => n * 256 + Number(octet), 0)
+}
+
+/**
+ * Dotted-quad text of a 32-bit number.
+ * @param {number} n
+ * @returns {string}
+ */
+function ipv4Text (n) {
+  return [24, 16, 8, 0].map(shift => Math.floor(n / 2 ** shift) % 256).join('.')
+}
+
+const ipv4Cidr = {
+  inputmode: 'numeric',
+  segments: [
+    ...ipv4.segments,
+    { label: 'prefix length', value: '24', placeholder: '--', min: 0, max: 32, step: 1, pattern: /\d/ },
+  ],
+  format (values) {
+    return `${ipv4.format(values.slice(0, 4))}/${values[4]}`
+  },
+  parse (str) {
+    const [address, prefix] = str.split('/')
+    return [...ipv4.parse(address), prefix?.trim() || '--']
+  },
+  // With `strict: true`, an address with host bits set (10.0.0.1/8) is
+  // invalid, naming the network address the prefix actually describes.
+  validate (values, { strict } = {}) {
+    if (!strict) return ''
+    const address = ipv4Number(values.slice(0, 4))
+    const size = 2 ** (32 - Number(values[4]))
+    const network = address - address % size
+    return network === address ? '' : `Host bits are set; the network address is ${ipv4Text(network)}/${values[4]}.`
+  },
+}
+
+const ipv6Cidr = {
+  inputmode: 'text',
+  autocapitalize: 'characters',
+  segments: [
+    ...ipv6.segments,
+    { label: 'prefix length', value: '64', placeholder: '---', min: 0, max: 128, step: 1, pattern: /\d/ },
+  ],
+  validate (values) {
+    return ipv6.validate(values.slice(0, 8))
+  },
+  format (values) {
+    return `${ipv6.format(values.slice(0, 8))}/${values[8]}`
+  },
+  parse (str) {
+    const slash = str.lastIndexOf('/')
+    if (slash === -1) return [...ipv6Groups(str), '---']
+    return [...ipv6Groups(str.slice(0, slash)), str.slice(slash + 1).trim() || '---']
+  },
+  // Expand a pasted shorthand address; the prefix length is kept as is.
+  normalizePaste (text) {
+    const slash = text.lastIndexOf('/')
+    if (slash === -1) return ipv6.normalizePaste(text)
+    return `${ipv6.normalizePaste(text.slice(0, slash))}${text.slice(slash)}`
+  },
+}
+
+const hostPort = {
+  inputmode: 'numeric',
+  segments: [
+    ...ipv4.segments,
+    { label: 'port', value: '80', placeholder: 'port', min: 1, max: 65535, step: 1, pattern: /\d/ },
+  ],
+  format (values) {
+    return `${ipv4.format(values.slice(0, 4))}:${values[4]}`
+  },
+  parse (str) {
+    const [host, port] = str.split(':')
+    return [...ipv4.parse(host), port?.trim() || 'port']
+  },
+}
+
+const ipv4Range = {
+  inputmode: 'numeric',
+  segments: [
+    ...ipv4.segments.map(seg => ({ ...seg, label: `start ${seg.label}` })),
+    ...ipv4.segments.map(seg => ({ ...seg, label: `end ${seg.label}` })),
+  ],
+  validate (values) {
+    return ipv4Number(values.slice(4)) < ipv4Number(values.slice(0, 4))
+      ? 'End address must not be before the start address.'
+      : ''
+  },
+  format (values) {
+    return `${ipv4.format(values.slice(0, 4))} - ${ipv4.format(values.slice(4))}`
+  },
+  parse (str) {
+    // A hand-typed '10.0.0.1-10.0.0.9' splits too; the '--' placeholders never do.
+    const halves = str.split(/\s+-\s+|(?<=\d)-(?=\d)/)
+    // Missing octets stay unfilled so a half-typed range is flagged.
+    const octets = half => {
+      const parts = (half ?? '').split('.')
+      return [0, 1, 2, 3].map(i => parts[i]?.trim() || '--')
+    }
+    return [...octets(halves[0]), ...octets(halves[1])]
   },
 }
 
@@ -65,9 +293,9 @@ const duration = {
   inputmode: 'numeric',
   segments: [
     // Hours: no upper bound in a duration, but cap typing at 3 digits (0–999)
-    { value: '00', placeholder: 'hh', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
-    { value: '00', placeholder: 'mm', min: 0, max: 59, step: 1, pattern: /\d/ },
-    { value: '00', placeholder: 'ss', min: 0, max: 59, step: 1, pattern: /\d/ },
+    { label: 'hours', value: '00', placeholder: 'hh', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
+    { label: 'minutes', value: '00', placeholder: 'mm', min: 0, max: 59, step: 1, pattern: /\d/ },
+    { label: 'seconds', value: '00', placeholder: 'ss', min: 0, max: 59, step: 1, pattern: /\d/ },
   ],
   format (values) {
     return values.map(v => String(v).padStart(2, '0')).join(':')
@@ -77,6 +305,137 @@ const duration = {
     while (parts.length < 3) parts.push('00')
     return parts.slice(0, 3).map(p => p.padStart(2, '0'))
   },
+  // valueAsNumber: total seconds
+  toNumber (values) {
+    const [h, m, s] = values.map(Number)
+    return h * 3600 + m * 60 + s
+  },
+  fromNumber (seconds) {
+    const total = Math.max(0, Math.round(seconds))
+    return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60].map(v => String(v).padStart(2, '0'))
+  },
+}
+
+// ---------------------------------------------------------------------------
+// Colour notations – hex, rgb() and hsl(), shared by the rgba / hsla presets
+// (which accept any of them when pasted or set) and swatch.js.
+// ---------------------------------------------------------------------------
+
+/** A CSS number, optionally a percentage. */
+const COLOR_NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?%?$/
+
+/**
+ * Alpha rounded to two decimals, as the alpha segments show it.
+ * @param {number} a
+ * @returns {number}
+ */
+function roundAlpha (a) {
+  return Math.round(Math.min(Math.max(a, 0), 1) * 100) / 100
+}
+
+/**
+ * Value of a CSS number or percentage (`50%` of `scale`).
+ * @param {string} part
+ * @param {number} scale - what 100% is
+ * @returns {number}
+ */
+function colorNumber (part, scale) {
+  return part.endsWith('%') ? parseFloat(part) / 100 * scale : parseFloat(part)
+}
+
+/** Turns per unit of a CSS hue angle. */
+const HUE_TURNS = { deg: 1 / 360, turn: 1, rad: 1 / (2 * Math.PI), grad: 1 / 400 }
+
+/**
+ * Degrees of a CSS hue with a unit (`0.5turn` → '180'), wrapped into 0-359.
+ * Anything else (a bare number, a '--' placeholder) is returned as is.
+ * @param {string} hue
+ * @returns {string}
+ */
+function hueDegrees (hue) {
+  const m = hue.match(/^(-?[\d.]+)(deg|turn|rad|grad)$/i)
+  if (!m) return hue
+  return String(((Math.round(parseFloat(m[1]) * HUE_TURNS[m[2].toLowerCase()] * 360) % 360) + 360) % 360)
+}
+
+/**
+ * Parse a CSS colour given as hex (`#f80`, `#ff8800`, `#ff880080`), `rgb()` /
+ * `rgba()` or `hsl()` / `hsla()`, with commas or spaces and an optional
+ * `/ alpha`.  Named colours are not recognised.
+ * @example parseColor('hsl(32 100% 50%)') // → { r: 255, g: 136, b: 0, a: 1 }
+ * @param {string} str
+ * @returns {{r: number, g: number, b: number, a: number} | null}
+ */
+function parseColor (str) {
+  const text = String(str).trim().toLowerCase()
+  const hex = text.match(/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/)
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(d => d + d).join('') : hex[1]
+    const [r, g, b, a = 255] = digits.match(/../g).map(h => parseInt(h, 16))
+    return { r, g, b, a: roundAlpha(a / 255) }
+  }
+  const fn = text.match(/^(rgba?|hsla?)\(\s*([^)]*?)\s*\)$/)
+  if (!fn) return null
+  const parts = fn[2].split(/\s*[,/]\s*|\s+/)
+  const hue = parts[0]?.match(/^(.+?)(deg|turn|rad|grad)?$/)
+  const numbers = fn[1].startsWith('h') ? [hue?.[1], ...parts.slice(1)] : parts
+  if (parts.length < 3 || parts.length > 4 || !numbers.every(part => COLOR_NUMBER.test(part))) return null
+  const a = parts[3] === undefined ? 1 : roundAlpha(colorNumber(parts[3], 1))
+  if (fn[1].startsWith('r')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => Math.round(Math.min(Math.max(colorNumber(part, 255), 0), 255)))
+    return { r, g, b, a }
+  }
+  const turns = HUE_TURNS[hue[2] ?? 'deg']
+  const [s, l] = parts.slice(1, 3).map(part => Math.min(Math.max(parseFloat(part), 0), 100))
+  return hslToRgb({ h: parseFloat(hue[1]) * turns * 360, s, l, a })
+}
+
+/**
+ * Convert HSL (h in degrees, s / l in percent) to RGB channels 0–255.
+ * @param {{h: number, s: number, l: number, a?: number}} hsl
+ * @returns {{r: number, g: number, b: number, a: number}}
+ */
+function hslToRgb ({ h, s, l, a = 1 }) {
+  h = ((h % 360) + 360) % 360
+  s /= 100
+  l /= 100
+  const channel = n => {
+    const k = (n + h / 30) % 12
+    return Math.round((l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255)
+  }
+  return { r: channel(0), g: channel(8), b: channel(4), a }
+}
+
+/**
+ * Convert RGB channels 0–255 to whole-number HSL (h in degrees, s / l in percent).
+ * @param {{r: number, g: number, b: number, a?: number}} rgb
+ * @returns {{h: number, s: number, l: number, a: number}}
+ */
+function rgbToHsl ({ r, g, b, a = 1 }) {
+  const [red, green, blue] = [r, g, b].map(c => c / 255)
+  const max = Math.max(red, green, blue)
+  const min = Math.min(red, green, blue)
+  const l = (max + min) / 2
+  const d = max - min
+  let h = 0
+  let s = 0
+  if (d) {
+    s = d / (1 - Math.abs(2 * l - 1))
+    h = max === red ? (green - blue) / d : max === green ? (blue - red) / d + 2 : (red - green) / d + 4
+    h = (h * 60 + 360) % 360
+  }
+  return { h: Math.round(h) % 360, s: Math.round(s * 100), l: Math.round(l * 100), a }
+}
+
+/**
+ * `#rrggbb` for a colour, with an alpha byte appended when it is not opaque.
+ * @example colorToHex({ r: 255, g: 136, b: 0, a: 0.5 }) // → '#ff880080'
+ * @param {{r: number, g: number, b: number, a?: number}} rgb
+ * @returns {string}
+ */
+function colorToHex ({ r, g, b, a = 1 }) {
+  const byte = n => Math.round(n).toString(16).padStart(2, '0')
+  return `#${byte(r)}${byte(g)}${byte(b)}${a < 1 ? byte(a * 255) : ''}`
 }
 
 // ---------------------------------------------------------------------------
@@ -89,10 +448,10 @@ const duration = {
 const rgba = {
   inputmode: 'decimal',
   segments: [
-    { value: '0',   placeholder: '--', min: 0, max: 255, step: 1,   pattern: /\d/    },
-    { value: '0',   placeholder: '--', min: 0, max: 255, step: 1,   pattern: /\d/    },
-    { value: '0',   placeholder: '--', min: 0, max: 255, step: 1,   pattern: /\d/    },
-    { value: '1',   placeholder: '--', min: 0, max: 1,   step: 0.1, pattern: /[\d.]/ },
+    { label: 'red', value: '0',   placeholder: '--', min: 0, max: 255, step: 1,   pattern: /\d/    },
+    { label: 'green', value: '0',   placeholder: '--', min: 0, max: 255, step: 1,   pattern: /\d/    },
+    { label: 'blue', value: '0',   placeholder: '--', min: 0, max: 255, step: 1,   pattern: /\d/    },
+    { label: 'alpha', value: '1',   placeholder: '--', min: 0, max: 1,   step: 0.1, pattern: /[\d.]/ },
   ],
   format (values) {
     return `rgba(${values[0]}, ${values[1]}, ${values[2]}, ${values[3]})`
@@ -101,8 +460,26 @@ const rgba = {
     // Relaxed capture groups accept any non-comma/paren characters so that
     // placeholder strings (e.g. 'r', 'g', '--') round-trip through parse/format.
     const m = str.match(/rgba?\(\s*([^,)]+?)\s*,\s*([^,)]+?)\s*,\s*([^,)]+?)(?:\s*,\s*([^)]+?))?\s*\)/)
-    if (m) return [m[1], m[2], m[3], m[4] ?? '1']
-    return ['0', '0', '0', '1']
+    if (m) {
+      const values = [m[1], m[2], m[3], m[4] ?? '1']
+      // Percentages and other CSS units are converted; placeholders are kept.
+      const color = values.some(v => !/^\d*\.?\d+$/.test(v)) && parseColor(m[0])
+      return color ? rgba.fromObject(color) : values
+    }
+    // Hex, hsl() and space-separated rgb() are converted.
+    const color = parseColor(str)
+    return color ? rgba.fromObject(color) : ['0', '0', '0', '1']
+  },
+  normalizePaste (text) {
+    const color = parseColor(text)
+    return color ? rgba.format(rgba.fromObject(color)) : text
+  },
+  toObject (values) {
+    const [r, g, b, a] = values.map(Number)
+    return { r, g, b, a }
+  },
+  fromObject ({ r, g, b, a = 1 }) {
+    return [r, g, b, a].map(String)
   },
 }
 
@@ -117,11 +494,11 @@ const uuid = {
   inputmode: 'text',
   autocapitalize: 'characters',
   segments: [
-    { value: '00000000',     placeholder: 'xxxxxxxx',     maxLength: 8,  pattern: /[0-9a-fA-F]/ },
-    { value: '0000',         placeholder: 'xxxx',         maxLength: 4,  pattern: /[0-9a-fA-F]/ },
-    { value: '0000',         placeholder: 'xxxx',         maxLength: 4,  pattern: /[0-9a-fA-F]/ },
-    { value: '0000',         placeholder: 'xxxx',         maxLength: 4,  pattern: /[0-9a-fA-F]/ },
-    { value: '000000000000', placeholder: 'xxxxxxxxxxxx', maxLength: 12, pattern: /[0-9a-fA-F]/ },
+    { label: 'group 1', value: '00000000',     placeholder: 'xxxxxxxx',     maxLength: 8,  pattern: /[0-9a-fA-F]/ },
+    { label: 'group 2', value: '0000',         placeholder: 'xxxx',         maxLength: 4,  pattern: /[0-9a-fA-F]/ },
+    { label: 'group 3', value: '0000',         placeholder: 'xxxx',         maxLength: 4,  pattern: /[0-9a-fA-F]/ },
+    { label: 'group 4', value: '0000',         placeholder: 'xxxx',         maxLength: 4,  pattern: /[0-9a-fA-F]/ },
+    { label: 'group 5', value: '000000000000', placeholder: 'xxxxxxxxxxxx', maxLength: 12, pattern: /[0-9a-fA-F]/ },
   ],
   format (values) {
     return values.join('-')
@@ -144,8 +521,8 @@ const mac = {
   pattern: '^([0-9A-Fa-f]{2}:){5}[0-9A-Fa-f]{2}$',
   inputmode: 'text',
   autocapitalize: 'characters',
-  segments: Array.from({ length: 6 }, () => ({
-    value: '00', placeholder: '--', min: 0, max: 255, step: 1, radix: 16, pattern: /[0-9a-fA-F]/,
+  segments: Array.from({ length: 6 }, (_, i) => ({
+    label: `byte ${i + 1}`, value: '00', placeholder: '--', min: 0, max: 255, step: 1, radix: 16, pattern: /[0-9a-fA-F]/,
   })),
   format (values) {
     return values.map(v => v.padStart(2, '0').toUpperCase()).join(':')
@@ -164,9 +541,9 @@ const mac = {
 const time = {
   inputmode: 'numeric',
   segments: [
-    { value: '00', placeholder: 'hh', min: 0, max: 23, step: 1, pattern: /\d/ },
-    { value: '00', placeholder: 'mm', min: 0, max: 59, step: 1, pattern: /\d/ },
-    { value: '00', placeholder: 'ss', min: 0, max: 59, step: 1, pattern: /\d/ },
+    { label: 'hours', value: '00', placeholder: 'hh', min: 0, max: 23, step: 1, pattern: /\d/ },
+    { label: 'minutes', value: '00', placeholder: 'mm', min: 0, max: 59, step: 1, pattern: /\d/ },
+    { label: 'seconds', value: '00', placeholder: 'ss', min: 0, max: 59, step: 1, pattern: /\d/ },
   ],
   format (values) {
     return values.map(v => String(v).padStart(2, '0')).join(':')
@@ -175,7 +552,92 @@ const time = {
     const parts = str.split(':')
     while (parts.length < 3) parts.push('00')
     return parts.slice(0, 3).map(p => p.padStart(2, '0'))
-  }
+  },
+  // valueAsDate: the time on 1970-01-01 UTC, like <input type="time">
+  toDate (values) {
+    return utcDate(1970, 1, 1, ...values)
+  },
+  fromDate (date) {
+    return [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()].map(v => String(v).padStart(2, '0'))
+  },
+}
+
+// ---------------------------------------------------------------------------
+// Shared date helpers
+// Day segments use a function-valued `max` so ↑/↓ and typing clamp to the
+// real length of the month, and `validate` names the offending day when the
+// month or year changes underneath an already-typed day (e.g. 31 → February).
+// ---------------------------------------------------------------------------
+
+/**
+ * Number of days in `month` of `year`.  While the month is still a placeholder
+ * the answer is 31; while only the year is unknown February allows 29.
+ * @param {string} year
+ * @param {string} month
+ * @returns {number}
+ */
+function daysInMonth (year, month) {
+  const y = parseInt(year, 10)
+  const m = parseInt(month, 10)
+  if (!(m >= 1 && m <= 12)) return 31
+  const leap = isNaN(y) || (y % 4 === 0 && (y % 100 !== 0 || y % 400 === 0))
+  return [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][m - 1]
+}
+
+/**
+ * Build a day-segment `max` function reading year/month from the given indexes.
+ * @param {number} yearIndex
+ * @param {number} monthIndex
+ * @returns {(values: string[]) => number}
+ */
+function dayMax (yearIndex, monthIndex) {
+  return values => daysInMonth(values[yearIndex], values[monthIndex])
+}
+
+/**
+ * Validity message for a day that does not exist in its month, or `''`.
+ * @param {string[]} values
+ * @param {number} yearIndex - the month and day segments follow the year
+ * @param {string} label - segment name used in the message (e.g. 'Day', 'End day')
+ * @returns {string}
+ */
+function checkDay (values, yearIndex, label) {
+  const [year, month, day] = values.slice(yearIndex, yearIndex + 3)
+  const max = daysInMonth(year, month)
+  return parseInt(day, 10) > max
+    ? `${label} must be between 1 and ${max} for ${year}-${month}.`
+    : ''
+}
+
+/**
+ * UTC Date for the given fields, or `null` when the day does not exist in its
+ * month (Date would silently roll 2023-02-30 over into March).
+ * @param {string|number} year
+ * @param {string|number} month - 1-based
+ * @param {string|number} day
+ * @param {string|number} [hours=0]
+ * @param {string|number} [minutes=0]
+ * @param {string|number} [seconds=0]
+ * @returns {Date|null}
+ */
+function utcDate (year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const date = new Date(Date.UTC(2000, 0, 1, hours, minutes, seconds))
+  // setUTCFullYear keeps years 0–99 literal (Date.UTC maps them to 19xx).
+  date.setUTCFullYear(year, month - 1, day)
+  return date.getUTCDate() === Number(day) ? date : null
+}
+
+/**
+ * `[yyyy, mm, dd]` segment values of a Date's UTC calendar day.
+ * @param {Date} date
+ * @returns {string[]}
+ */
+function utcDateValues (date) {
+  return [
+    String(date.getUTCFullYear()).padStart(4, '0'),
+    String(date.getUTCMonth() + 1).padStart(2, '0'),
+    String(date.getUTCDate()).padStart(2, '0'),
+  ]
 }
 
 // ---------------------------------------------------------------------------
@@ -186,10 +648,13 @@ const time = {
 const date = {
   inputmode: 'numeric',
   segments: [
-    { value: new Date().getFullYear(), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
-    { value: '01',   placeholder: 'mm',   min: 1, max: 12,   step: 1, pattern: /\d/ },
-    { value: '01',   placeholder: 'dd',   min: 1, max: 31,   step: 1, pattern: /\d/ },
+    { label: 'year', value: new Date().getFullYear(), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
+    { label: 'month', value: '01',   placeholder: 'mm',   min: 1, max: 12,   step: 1, pattern: /\d/ },
+    { label: 'day', value: '01',   placeholder: 'dd',   min: 1, max: dayMax(0, 1), step: 1, pattern: /\d/ },
   ],
+  validate (values) {
+    return checkDay(values, 0, 'Day')
+  },
   format (values) {
     return `${String(values[0]).padStart(4, '0')}-${String(values[1]).padStart(2, '0')}-${String(values[2]).padStart(2, '0')}`
   },
@@ -198,28 +663,145 @@ const date = {
     while (parts.length < 3) parts.push('01')
     return [parts[0].padStart(4, '0'), parts[1].padStart(2, '0'), parts[2].padStart(2, '0')]
   },
+  // valueAsDate: UTC midnight, like <input type="date">
+  toDate (values) {
+    return utcDate(...values)
+  },
+  fromDate (date) {
+    return utcDateValues(date)
+  },
 }
 
 // ---------------------------------------------------------------------------
-// Credit card number  – 1234 5678 9012 3456
-// 4 groups of 4 digits separated by spaces.
-// placeholder 'nnnn' uses 'n' which is not a digit and not a space.
+// Credit card number  – 1234 5678 9012 3456, 3782 822463 10005 (Amex)
+// The brand is recognised from the IIN prefix as it is typed and the segments
+// are swapped for its grouping (via segmentsFor); a `cardbrandchange` event
+// with `detail.brand` fires on the instance when it changes.  Brands that allow
+// 16 or 19 digits get an optional trailing 3-digit group.
+// placeholders 'nnnn' use 'n' which is not a digit and not a space.
 // ---------------------------------------------------------------------------
+
+/**
+ * Segment definitions for a card grouping.
+ * @param {number[]} groups - digits per group
+ * @param {number[]} lengths - valid total numbers of digits
+ * @returns {import('./segmented-input.js').Segment[]}
+ */
+function cardSegments (groups, lengths) {
+  let start = 1
+  return groups.map((width, i) => {
+    const seg = {
+      label: `digits ${start} to ${start + width - 1}`, value: '0'.repeat(width), placeholder: 'n'.repeat(width),
+      min: 0, max: 10 ** width - 1, step: 1, maxLength: width, pattern: /\d/,
+    }
+    // The group past the shortest valid length may stay empty.
+    if (start > Math.min(...lengths)) seg.optional = true
+    start += width
+    return seg
+  })
+}
+
+/** Recognised brands, by IIN prefix, with their grouping and valid lengths. */
+const CARD_BRANDS = [
+  { brand: 'amex', prefix: /^3[47]/, groups: [4, 6, 5], lengths: [15] },
+  { brand: 'diners', prefix: /^3(?:0[0-5]|[68])/, groups: [4, 6, 4], lengths: [14] },
+  { brand: 'jcb', prefix: /^35/, groups: [4, 4, 4, 4, 3], lengths: [16, 19] },
+  { brand: 'visa', prefix: /^4/, groups: [4, 4, 4, 4, 3], lengths: [16, 19] },
+  { brand: 'mastercard', prefix: /^(?:5[1-5]|2[2-7])/, groups: [4, 4, 4, 4], lengths: [16] },
+  { brand: 'discover', prefix: /^(?:6011|64[4-9]|65)/, groups: [4, 4, 4, 4, 3], lengths: [16, 19] },
+  { brand: 'unionpay', prefix: /^62/, groups: [4, 4, 4, 4, 3], lengths: [16, 19] },
+].map(card => ({ ...card, segments: cardSegments(card.groups, card.lengths) }))
+
+/** Layout used until the prefix matches a brand. */
+const UNKNOWN_CARD = { brand: null, groups: [4, 4, 4, 4], lengths: [16], segments: cardSegments([4, 4, 4, 4], [16]) }
+
+/**
+ * Brand of a (partial) card number, e.g. 'visa' or 'amex', or `null` while
+ * the prefix matches none.
+ * @example cardBrand('3782 8224') // → 'amex'
+ * @param {string} number
+ * @returns {string|null}
+ */
+function cardBrand (number) {
+  const digits = String(number).replace(/\D/g, '')
+  return CARD_BRANDS.find(card => card.prefix.test(digits))?.brand ?? null
+}
+
+/**
+ * Whether a card number passes the Luhn checksum.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function luhn (digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let n = Number(digits[digits.length - 1 - i])
+    if (i % 2) n = n * 2 > 9 ? n * 2 - 9 : n * 2
+    sum += n
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Lay card group values out for the brand their digits belong to.  Groups
+ * that fit the brand's grouping keep their position (so a group cleared in
+ * the middle stays put); otherwise the digits are regrouped from the start.
+ * The brand is only looked up once the first group has digits.
+ * @param {string[]} values
+ * @returns {{card: object, groups: string[]}}
+ */
+function groupCard (values) {
+  const digits = values.map(v => /^\d+$/.test(v) ? v : '')
+  const card = (digits[0] && CARD_BRANDS.find(c => c.prefix.test(digits.join('')))) || UNKNOWN_CARD
+  const fits = digits.every((d, i) => d.length <= (card.groups[i] ?? 0))
+  let all = digits.join('')
+  const groups = card.groups.map((width, i) => {
+    let d = digits[i]
+    if (!fits) [d, all] = [all.slice(0, width), all.slice(width)]
+    return d || 'n'.repeat(width)
+  })
+  return { card, groups }
+}
+
+/**
+ * The number's groups without the empty optional one, e.g. '4111 1111 1111 1111'.
+ * @param {string[]} values
+ * @returns {string}
+ */
+function cardNumber (values) {
+  return groupCard(values).groups.filter(g => /^\d+$/.test(g)).join(' ')
+}
+
 const creditCard = {
-  pattern: '^(\\d{4}[- ]?){3}\\d{4}$',
   autocomplete: 'cc-number',
   inputmode: 'numeric',
-  segments: Array.from({ length: 4 }, () => ({
-    value: '0000', placeholder: 'nnnn', min: 0, max: 9999, step: 1, maxLength: 4, pattern: /\d/,
-  })),
+  segments: UNKNOWN_CARD.segments,
+  segmentsFor (values) {
+    return groupCard(values).card.segments
+  },
+  onSegmentsChange (instance, previous) {
+    const brandOf = segments => CARD_BRANDS.find(card => card.segments === segments)?.brand ?? null
+    instance.dispatchEvent(new CustomEvent('cardbrandchange', {
+      detail: { brand: brandOf(instance.segments), previousBrand: brandOf(previous) },
+    }))
+  },
+  validate (values) {
+    const { card, groups } = groupCard(values)
+    const digits = groups.filter(g => /^\d+$/.test(g)).join('')
+    if (!card.lengths.includes(digits.length)) {
+      return `Card number must have ${card.lengths.join(' or ')} digits.`
+    }
+    return luhn(digits) ? '' : 'Card number is not valid.'
+  },
   format (values) {
-    return values.map(v => String(v).padStart(4, '0')).join(' ')
+    return groupCard(values).groups.join(' ')
   },
   parse (str) {
-    const parts = str.split(' ')
-    while (parts.length < 4) parts.push('0000')
-    return parts.slice(0, 4).map(p => p.padStart(4, '0'))
+    return groupCard(str.trim().split(/[\s-]+/)).groups
   },
+  // Drop the empty optional group from the value and the unfocused display.
+  serialize: cardNumber,
+  blurFormat: cardNumber,
 }
 
 // ---------------------------------------------------------------------------
@@ -230,9 +812,9 @@ const creditCard = {
 const semver = {
   inputmode: 'numeric',
   segments: [
-    { value: '1', placeholder: 'n', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
-    { value: '0', placeholder: 'n', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
-    { value: '0', placeholder: 'n', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
+    { label: 'major', value: '1', placeholder: 'n', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
+    { label: 'minor', value: '0', placeholder: 'n', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
+    { label: 'patch', value: '0', placeholder: 'n', min: 0, step: 1, maxLength: 3, pattern: /\d/ },
   ],
   format (values) {
     return values.join('.')
@@ -242,6 +824,13 @@ const semver = {
     while (parts.length < 3) parts.push('0')
     return parts.slice(0, 3)
   },
+  toObject (values) {
+    const [major, minor, patch] = values.map(Number)
+    return { major, minor, patch }
+  },
+  fromObject ({ major = 0, minor = 0, patch = 0 }) {
+    return [major, minor, patch].map(String)
+  },
 }
 
 // ---------------------------------------------------------------------------
@@ -253,8 +842,8 @@ const expiryDate = {
   autocomplete: 'cc-exp',
   inputmode: 'numeric',
   segments: [
-    { value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
-    { value: '25', placeholder: 'yy', min: 0, max: 99, step: 1, pattern: /\d/ },
+    { label: 'month', value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
+    { label: 'year', value: '25', placeholder: 'yy', min: 0, max: 99, step: 1, pattern: /\d/ },
   ],
   format (values) {
     return `${String(values[0]).padStart(2, '0')}/${String(values[1]).padStart(2, '0')}`
@@ -266,6 +855,17 @@ const expiryDate = {
   },
 }
 
+// expiryDate that is invalid once the month has passed (cards are valid
+// through the end of their expiry month).  Years are read as 20YY.
+const futureExpiryDate = {
+  ...expiryDate,
+  validate (values) {
+    const now = new Date()
+    const expiry = (2000 + Number(values[1])) * 12 + Number(values[0])
+    return expiry < now.getFullYear() * 12 + now.getMonth() + 1 ? 'Card has expired.' : ''
+  },
+}
+
 // ---------------------------------------------------------------------------
 // US phone number  – (NXX) NXX-XXXX
 // Area code / exchange: placeholder 'nnn' (not a digit, not in '() -').
@@ -275,9 +875,9 @@ const expiryDate = {
 const phone = {
   inputmode: 'tel',
   segments: [
-    { value: '555',  placeholder: 'nnn',  min: 0, max: 999,  step: 1, maxLength: 3, pattern: /\d/ },
-    { value: '555',  placeholder: 'nnn',  min: 0, max: 999,  step: 1, maxLength: 3, pattern: /\d/ },
-    { value: '5555', placeholder: 'xxxx', min: 0, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
+    { label: 'area code', value: '555',  placeholder: 'nnn',  min: 0, max: 999,  step: 1, maxLength: 3, pattern: /\d/ },
+    { label: 'exchange', value: '555',  placeholder: 'nnn',  min: 0, max: 999,  step: 1, maxLength: 3, pattern: /\d/ },
+    { label: 'line number', value: '5555', placeholder: 'xxxx', min: 0, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
   ],
   format (values) {
     return `(${values[0]}) ${values[1]}-${values[2]}`
@@ -299,10 +899,10 @@ const phone = {
 const hsla = {
   inputmode: 'decimal',
   segments: [
-    { value: '0', placeholder: '--', min: 0,   max: 360, step: 1,   pattern: /\d/    },
-    { value: '0', placeholder: '--', min: 0,   max: 100, step: 1,   pattern: /\d/    },
-    { value: '0', placeholder: '--', min: 0,   max: 100, step: 1,   pattern: /\d/    },
-    { value: '1', placeholder: '--', min: 0,   max: 1,   step: 0.1, pattern: /[\d.]/ },
+    { label: 'hue', value: '0', placeholder: '--', min: 0,   max: 360, step: 1,   pattern: /\d/    },
+    { label: 'saturation', value: '0', placeholder: '--', min: 0,   max: 100, step: 1,   pattern: /\d/    },
+    { label: 'lightness', value: '0', placeholder: '--', min: 0,   max: 100, step: 1,   pattern: /\d/    },
+    { label: 'alpha', value: '1', placeholder: '--', min: 0,   max: 1,   step: 0.1, pattern: /[\d.]/ },
   ],
   format (values) {
     return `hsla(${values[0]}, ${values[1]}%, ${values[2]}%, ${values[3]})`
@@ -310,11 +910,51 @@ const hsla = {
   parse (str) {
     // Captures content before '%' separators; accepts placeholder strings like '--'.
     const m = str.match(/hsla?\(\s*([^,]+),\s*([^%]+)%\s*,\s*([^%]+)%\s*(?:,\s*([^)]+))?\)/)
-    if (m) return [m[1].trim(), m[2].trim(), m[3].trim(), (m[4]?.trim() ?? '1')]
-    return ['0', '0', '0', '1']
+    if (m) return [hueDegrees(m[1].trim()), m[2].trim(), m[3].trim(), (m[4]?.trim() ?? '1')]
+    // Hex, rgb() and space-separated hsl() are converted.
+    const color = parseColor(str)
+    return color ? hsla.fromObject(rgbToHsl(color)) : ['0', '0', '0', '1']
+  },
+  normalizePaste (text) {
+    const color = parseColor(text)
+    return color ? hsla.format(hsla.fromObject(rgbToHsl(color))) : text
+  },
+  toObject (values) {
+    const [h, s, l, a] = values.map(Number)
+    return { h, s, l, a }
+  },
+  fromObject ({ h, s, l, a = 1 }) {
+    return [h, s, l, a].map(String)
   },
 }
 
+// ---------------------------------------------------------------------------
+// Colours with a swatch  – ▉ rgba(r, g, b, a) / ▉ hsla(H, S%, L%, A)
+// A leading action segment (an em space) is where swatch.js paints the current
+// colour and opens a colour picker; `serialize` keeps it out of `value`.
+// ---------------------------------------------------------------------------
+const SWATCH = { label: 'open colour picker', value: '\u2003', placeholder: '\u2003', type: 'action', selectable: true }
+
+/**
+ * `preset` with the swatch segment in front.
+ * @param {import('./segmented-input.js').SegmentedInputOptions} preset
+ * @returns {import('./segmented-input.js').SegmentedInputOptions}
+ */
+function withSwatch (preset) {
+  return {
+    ...preset,
+    segments: [SWATCH, ...preset.segments],
+    format: values => `${values[0]} ${preset.format(values.slice(1))}`,
+    parse: str => [SWATCH.value, ...preset.parse(str)],
+    serialize: values => preset.format(values.slice(1)),
+    toObject: values => preset.toObject(values.slice(1)),
+    fromObject: object => [SWATCH.value, ...preset.fromObject(object)],
+  }
+}
+
+const rgbaSwatch = withSwatch(rgba)
+const hslaSwatch = withSwatch(hsla)
+
 // ---------------------------------------------------------------------------
 // Price  – $NNN.CC  (dollars and cents)
 // placeholder '--' uses '-' which is blocked by pattern: /\d/
@@ -323,9 +963,9 @@ const price = {
   inputmode: 'decimal',
   segments: [
     // Dollars: no upper bound; cap typing at 5 digits (0–99999)
-    { value: '0', placeholder: '--', min: 0, step: 1, maxLength: 5, pattern: /\d/ },
+    { label: 'dollars', value: '0', placeholder: '--', min: 0, step: 1, maxLength: 5, acceleration: true, pattern: /\d/ },
     // Cents: 00–99
-    { value: '00', placeholder: '--', min: 0, max: 99, step: 1, pattern: /\d/ },
+    { label: 'cents', value: '00', placeholder: '--', min: 0, max: 99, step: 1, pattern: /\d/ },
   ],
   format (values) {
     return `$${values[0]}.${String(values[1]).padStart(2, '0')}`
@@ -336,6 +976,14 @@ const price = {
     if (dot === -1) return [without$ || '--', '--']
     return [without$.slice(0, dot) || '--', without$.slice(dot + 1).padStart(2, '0')]
   },
+  // valueAsNumber: cents
+  toNumber (values) {
+    return Number(values[0]) * 100 + Number(values[1])
+  },
+  fromNumber (cents) {
+    const total = Math.max(0, Math.round(cents))
+    return [String(Math.floor(total / 100)), String(total % 100).padStart(2, '0')]
+  },
 }
 
 // ---------------------------------------------------------------------------
@@ -347,9 +995,9 @@ const price = {
 const mathExpr = {
   inputmode: 'numeric',
   segments: [
-    { value: '0', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
-    { value: '0', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
-    { value: '1', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
+    { label: 'first operand', value: '0', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
+    { label: 'second operand', value: '0', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
+    { label: 'divisor', value: '1', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
   ],
   format (values) {
     return `(${values[0]} + ${values[1]}) / ${values[2]}`
@@ -372,8 +1020,8 @@ const fullName = {
   inputmode: 'text',
   autocapitalize: 'words',
   segments: [
-    { value: '', type: 'text', placeholder: '----------', maxLength: 20, pattern: /\p{L}/u },
-    { value: '', type: 'text', placeholder: '----------', maxLength: 20, pattern: /\p{L}/u },
+    { label: 'first name', value: '', type: 'text', placeholder: '----------', maxLength: 20, pattern: /\p{L}/u },
+    { label: 'last name', value: '', type: 'text', placeholder: '----------', maxLength: 20, pattern: /\p{L}/u },
   ],
   format (values) {
     return `${values[0]} ${values[1]}`
@@ -393,9 +1041,9 @@ const fullName = {
 // ---------------------------------------------------------------------------
 const calc = {
   segments: [
-    { value: '1', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
-    { value: '+', placeholder: '?',  options: ['+', '-', '*', '/'] },
-    { value: '1', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
+    { label: 'first operand', value: '1', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
+    { label: 'operator', value: '+', placeholder: '?',  options: ['+', '-', '*', '/'] },
+    { label: 'second operand', value: '1', placeholder: '--', min: 0, max: 999, step: 1, pattern: /\d/ },
   ],
   format (values) {
     return `${values[0]} ${values[1]} ${values[2]}`
@@ -417,9 +1065,9 @@ const calc = {
 const currency = {
   inputmode: 'decimal',
   segments: [
-    { value: '$',  placeholder: '?',  options: ['$', '€', '£', '¥'] },
-    { value: '0',  placeholder: '--', min: 0, step: 1, maxLength: 5, pattern: /\d/ },
-    { value: '00', placeholder: '--', min: 0, max: 99, step: 1,      pattern: /\d/ },
+    { label: 'currency', value: '$',  placeholder: '?',  options: ['$', '€', '£', '¥'] },
+    { label: 'amount', value: '0',  placeholder: '--', min: 0, step: 1, maxLength: 5, pattern: /\d/ },
+    { label: 'cents', value: '00', placeholder: '--', min: 0, max: 99, step: 1,      pattern: /\d/ },
   ],
   format (values) {
     return `${values[0]}${values[1]}.${String(values[2]).padStart(2, '0')}`
@@ -443,14 +1091,22 @@ const dateRange = {
   inputmode: 'numeric',
   segments: [
     // Start date
-    { value: String(new Date().getFullYear()), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
-    { value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
-    { value: '01', placeholder: 'dd', min: 1, max: 31, step: 1, pattern: /\d/ },
+    { label: 'start year', value: String(new Date().getFullYear()), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
+    { label: 'start month', value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
+    { label: 'start day', value: '01', placeholder: 'dd', min: 1, max: dayMax(0, 1), step: 1, pattern: /\d/ },
     // End date
-    { value: String(new Date().getFullYear()), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
-    { value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
-    { value: '01', placeholder: 'dd', min: 1, max: 31, step: 1, pattern: /\d/ },
+    { label: 'end year', value: String(new Date().getFullYear()), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
+    { label: 'end month', value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
+    { label: 'end day', value: '01', placeholder: 'dd', min: 1, max: dayMax(3, 4), step: 1, pattern: /\d/ },
   ],
+  validate (values) {
+    const error = checkDay(values, 0, 'Start day') || checkDay(values, 3, 'End day')
+    if (error) return error
+    // parse() zero-pads every part, so the ISO strings compare lexicographically.
+    const start = values.slice(0, 3).join('-')
+    const end = values.slice(3, 6).join('-')
+    return end < start ? 'End date must not be before the start date.' : ''
+  },
   format (values) {
     const pad4 = v => String(v).padStart(4, '0')
     const pad2 = v => String(v).padStart(2, '0')
@@ -494,18 +1150,25 @@ const dateRange = {
 //       i === 3 ? { ...s, onClick (inst) { /* set today's date */ } } : s
 //     ),
 //   })
+//
+// or attach the month-grid popover from calendar.js, which installs the onClick:
+//
+//   new DateCalendar(new SegmentedInput(el, presets.dateWithPicker))
 // ---------------------------------------------------------------------------
 const dateWithPicker = {
   inputmode: 'numeric',
   segments: [
-    { value: String(new Date().getFullYear()), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
-    { value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
-    { value: '01', placeholder: 'dd', min: 1, max: 31, step: 1, pattern: /\d/ },
+    { label: 'year', value: String(new Date().getFullYear()), placeholder: 'yyyy', min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ },
+    { label: 'month', value: '01', placeholder: 'mm', min: 1, max: 12, step: 1, pattern: /\d/ },
+    { label: 'day', value: '01', placeholder: 'dd', min: 1, max: dayMax(0, 1), step: 1, pattern: /\d/ },
     // Action segment — type: 'action' marks it as non-editable; consumer adds onClick.
     // selectable: true makes it reachable via Tab/Arrow; Enter fires onClick.
     // The library injects \u200B guards around the icon automatically.
-    { value: '⏱︎', placeholder: '⏱︎', type: 'action', selectable: true },
+    { label: 'open date picker', value: '⏱︎', placeholder: '⏱︎', type: 'action', selectable: true },
   ],
+  validate (values) {
+    return checkDay(values, 0, 'Day')
+  },
   format (values) {
     const pad4 = v => String(v).padStart(4, '0')
     const pad2 = v => String(v).padStart(2, '0')
@@ -522,10 +1185,211 @@ const dateWithPicker = {
     const padIfNum = (v, len) => /^\d+$/.test(v) ? v.padStart(len, '0') : v
     return [padIfNum(parts[0], 4), padIfNum(parts[1], 2), padIfNum(parts[2], 2), '⏱︎']
   },
+  toDate (values) {
+    return utcDate(...values.slice(0, 3))
+  },
+  fromDate (date) {
+    return [...utcDateValues(date), '⏱︎']
+  },
+}
+
+// ---------------------------------------------------------------------------
+// Locale-aware date / time  – createDatePreset({ locale, fields, hour12 })
+// Segment order, separators and the AM/PM labels come from
+// Intl.DateTimeFormat#formatToParts, placeholders from the localized field
+// names (en-US → mm/dd/yyyy, de → TT.MM.JJJJ) or else fixed masks.  `serialize` keeps the
+// submitted value ISO (YYYY-MM-DD, HH:MM:SS or YYYY-MM-DDTHH:MM:SS) whatever
+// the display order, and `parse` accepts that ISO form as well.
+// ---------------------------------------------------------------------------
+
+/** Shorthands accepted by `createDatePreset({ fields })`. */
+const DATE_FIELDS = {
+  date: ['year', 'month', 'day'],
+  time: ['hour', 'minute', 'second'],
+  datetime: ['year', 'month', 'day', 'hour', 'minute', 'second'],
+}
+
+/** Placeholders used when the localized field names cannot be: one distinct mask per field. */
+const FIELD_PLACEHOLDERS = { year: 'yyyy', month: 'mm', day: 'dd', hour: 'hh', minute: 'mi', second: 'ss' }
+
+/**
+ * Build a date and/or time preset in the display order of `locale`.
+ *
+ * @example
+ * new SegmentedInput(el, createDatePreset({ locale: 'en-US' }))                  // 02/03/2001
+ * new SegmentedInput(el, createDatePreset({ locale: 'de', fields: 'datetime' })) // 03.02.2001, 04:05:06
+ * new SegmentedInput(el, createDatePreset({ locale: 'en-US', fields: ['hour', 'minute'] })) // 04:05 AM
+ *
+ * @param {object} [options]
+ * @param {string} [options.locale] - BCP 47 tag; defaults to the user's locale
+ * @param {'date' | 'time' | 'datetime' | string[]} [options.fields='date']
+ *   A shorthand, or any of 'year', 'month', 'day', 'hour', 'minute', 'second'.
+ * @param {boolean} [options.hour12] - 12-hour clock with an AM/PM segment;
+ *   defaults to the locale's convention
+ * @returns {import('./segmented-input.js').SegmentedInputOptions}
+ */
+function createDatePreset ({ locale, fields = 'date', hour12 } = {}) {
+  const wanted = typeof fields === 'string' ? DATE_FIELDS[fields] : fields
+  if (!wanted?.length || !wanted.every(f => Object.hasOwn(FIELD_PLACEHOLDERS, f))) {
+    throw new TypeError(`createDatePreset: unknown fields ${JSON.stringify(fields)}`)
+  }
+
+  const intlOptions = { calendar: 'gregory', numberingSystem: 'latn', timeZone: 'UTC' }
+  for (const field of wanted) intlOptions[field] = field === 'year' ? 'numeric' : '2-digit'
+  if (wanted.includes('hour')) {
+    hour12 ??= /^h1[12]$/.test(new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hourCycle)
+    intlOptions.hourCycle = hour12 ? 'h12' : 'h23'
+  } else {
+    hour12 = false
+  }
+  const formatter = new Intl.DateTimeFormat(locale, intlOptions)
+
+  // 2001-02-03 04:05:06 UTC: every field has a distinct value.  Parts other than
+  // the requested fields (and the day period) are folded into the literals.
+  const order = []
+  const literals = ['']
+  for (const { type, value } of formatter.formatToParts(Date.UTC(2001, 1, 3, 4, 5, 6))) {
+    if (wanted.includes(type) || (type === 'dayPeriod' && hour12)) {
+      order.push(type)
+      literals.push('')
+    } else {
+      literals[literals.length - 1] += value
+    }
+  }
+  const dayPeriodOf = hours => formatter.formatToParts(Date.UTC(2001, 1, 3, hours)).find(p => p.type === 'dayPeriod')?.value
+  const dayPeriods = hour12 ? [dayPeriodOf(4) ?? 'AM', dayPeriodOf(16) ?? 'PM'] : []
+  if (hour12 && !order.includes('dayPeriod')) {
+    order.push('dayPeriod')
+    literals.splice(-1, 0, ' ')
+  }
+  const index = field => order.indexOf(field)
+  const width = field => field === 'year' ? 4 : 2
+  const pad = (field, v) => /^\d+$/.test(v) ? String(v).padStart(width(field), '0') : String(v)
+
+  // The initials of the localized field names make the placeholders (TT.MM.JJJJ)
+  // when every one is a cased letter and no two fields share one; a repeated 年
+  // does not read as a mask, and German Monat / Minute would both be MM.  Any
+  // other layout takes the fixed masks (dd.mm.yyyy, hh:mi:ss) throughout.
+  let names = null
+  try { names = new Intl.DisplayNames(locale, { type: 'dateTimeField' }) } catch {}
+  const literalText = literals.join('')
+  const named = order.filter(field => field !== 'dayPeriod')
+  const initials = named.map(field => names?.of(field)?.[0])
+  const localized = initials.every(c => c && c.toLowerCase() !== c.toUpperCase()) &&
+    new Set(initials.map(c => c.toLowerCase())).size === initials.length
+  // A blank mask for the day period, and for a field whose mask also appears
+  // in the text between the fields (fr-CA "04 h 05 min": not `mi`).
+  const blank = ['-', '_'].find(c => !literalText.includes(c))
+  const placeholderFor = field => {
+    let mask = FIELD_PLACEHOLDERS[field]
+    if (localized && mask) mask = initials[named.indexOf(field)].repeat(width(field))
+    return mask && !literalText.includes(mask) ? mask : blank.repeat(width(field))
+  }
+
+  const segmentFor = field => {
+    switch (field) {
+      case 'year': return { value: String(new Date().getFullYear()), min: 1, max: 9999, step: 1, maxLength: 4, pattern: /\d/ }
+      case 'month': return { value: '01', min: 1, max: 12, step: 1, pattern: /\d/ }
+      case 'day': return { value: '01', min: 1, max: dayMax(index('year'), index('month')), step: 1, pattern: /\d/ }
+      case 'hour': return hour12
+        ? { value: '12', min: 1, max: 12, step: 1, pattern: /\d/ }
+        : { value: '00', min: 0, max: 23, step: 1, pattern: /\d/ }
+      case 'dayPeriod': return { value: dayPeriods[0], options: dayPeriods }
+      default: return { value: '00', min: 0, max: 59, step: 1, pattern: /\d/ }
+    }
+  }
+  // The localized field name ("Stunde", "AM/PM") is also the screen-reader label.
+  const segments = order.map(field => ({
+    label: names?.of(field) ?? field,
+    placeholder: placeholderFor(field),
+    ...segmentFor(field),
+  }))
+  const placeholders = segments.map(s => s.placeholder)
+
+  // Canonical form: the requested date fields joined by '-', time fields by ':'
+  // (seconds optional on input, like <input type="time">), date and time by 'T'.
+  const dateFields = DATE_FIELDS.date.filter(f => wanted.includes(f))
+  const timeFields = DATE_FIELDS.time.filter(f => wanted.includes(f))
+  const canonical = new RegExp('^' + [
+    dateFields.map(f => `(\\d{${width(f)}})`).join('-'),
+    timeFields.map((f, i) => {
+      const part = (i ? ':' : '') + '(\\d{2})'
+      return f === 'second' && i ? `(?:${part})?` : part
+    }).join(''),
+  ].filter(Boolean).join('[T ]') + '$')
+
+  // Display form.  Each field captures only digits, its placeholder or a day
+  // period, so fields need no literal between them (ja: 午前4:05:06).
+  const escape = str => str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+  const capture = i => '(' + [
+    ...(order[i] === 'dayPeriod' ? dayPeriods.map(escape) : ['\\d+']),
+    escape(placeholders[i]),
+  ].join('|') + ')'
+  const matcher = new RegExp('^\\s*' + literals.map((lit, i) =>
+    lit.split(/(\s+)/).map(part => /^\s+$/.test(part) ? '\\s*' : escape(part)).join('') +
+    (i < order.length ? capture(i) : ''),
+  ).join('') + '\\s*$', 'u')
+
+  // Segment values ↔ 24-hour canonical fields ({ year: '2024', hour: '16', … }).
+  const toFields = values => {
+    const fields = {}
+    order.forEach((field, i) => { fields[field] = pad(field, values[i]) })
+    if (hour12) fields.hour = String(Number(fields.hour) % 12 + (fields.dayPeriod === dayPeriods[1] ? 12 : 0)).padStart(2, '0')
+    return fields
+  }
+  const fromFields = fields => order.map(field => {
+    const hours = Number(fields.hour)
+    if (field === 'dayPeriod') return dayPeriods[hours >= 12 ? 1 : 0]
+    if (field === 'hour' && hour12) return pad(field, String(hours % 12 || 12))
+    return pad(field, fields[field] ?? '00')
+  })
+  const serialize = values => {
+    if (order.some((field, i) => field !== 'dayPeriod' && !/^\d+$/.test(values[i]))) return ''
+    const fields = toFields(values)
+    return [
+      dateFields.map(f => fields[f]).join('-'),
+      timeFields.map(f => fields[f]).join(':'),
+    ].filter(Boolean).join('T')
+  }
+
+  return {
+    inputmode: hour12 ? 'text' : 'numeric',
+    segments,
+    validate (values) {
+      if (!order.includes('day')) return ''
+      const max = daysInMonth(values[index('year')], values[index('month')])
+      return parseInt(values[index('day')], 10) > max ? `Day must be between 1 and ${max} for this month.` : ''
+    },
+    format (values) {
+      return literals[0] + values.map((v, i) => pad(order[i], v) + literals[i + 1]).join('')
+    },
+    parse (str) {
+      const iso = str.match(canonical)
+      if (iso) {
+        return fromFields(Object.fromEntries([...dateFields, ...timeFields].map((field, i) => [field, iso[i + 1]])))
+      }
+      const m = str.match(matcher)
+      if (!m) return [...placeholders]
+      return order.map((field, i) => pad(field, m[i + 1]))
+    },
+    serialize,
+    // Missing date fields default to 1970-01-01, missing time fields to 0.
+    toDate (values) {
+      const { year = 1970, month = 1, day = 1, hour, minute, second } = toFields(values)
+      return utcDate(year, month, day, hour, minute, second)
+    },
+    fromDate (date) {
+      const [year, month, day] = utcDateValues(date)
+      const time = [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()].map(v => String(v).padStart(2, '0'))
+      return fromFields({ year, month, day, hour: time[0], minute: time[1], second: time[2] })
+    },
+  }
 }
 
 export {
-  ipv4, ipv6, duration, rgba, uuid, mac,
-  time, date, dateRange, dateWithPicker, creditCard, semver, expiryDate, phone, hsla,
-  price, mathExpr, fullName, calc, currency,
+  ipv4, ipv6, ipv6Compressed, ipv4Cidr, ipv6Cidr, hostPort, ipv4Range, duration, rgba, uuid, mac,
+  time, date, dateRange, dateWithPicker, creditCard, semver, expiryDate, futureExpiryDate, phone, hsla,
+  price, mathExpr, fullName, calc, currency, createDatePreset,
+  rgbaSwatch, hslaSwatch,
+  expandIPv6, compressIPv6, cardBrand, parseColor, rgbToHsl, hslToRgb, colorToHex,
 }
\ No newline at end of file
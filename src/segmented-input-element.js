@@ -0,0 +1,314 @@
+/*! <segmented-input> MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+
+/**
+ * segmented-input-element.js
+ *
+ * `<segmented-input>` — a form-associated custom element that wraps a
+ * SegmentedInput around an internal `<input>`, so segmented fields can be
+ * written in markup alone:
+ *
+ *   <script type="module" src="segmented-input/src/segmented-input-element.js"></script>
+ *
+ *   <form>
+ *     <segmented-input name="ip" preset="ipv4" value="10.0.0.1" required></segmented-input>
+ *   </form>
+ *
+ * Importing the module registers the element.
+ *
+ * @license MIT
+ */
+
+import { SegmentedInput } from './segmented-input.js'
+import * as presets from './presets.js'
+
+/**
+ * Segment definitions given inline as JSON cannot hold RegExp objects, so a
+ * string `pattern` is compiled here (with the `u` flag, e.g. "\\p{L}").
+ * @param {object} seg
+ * @returns {object}
+ */
+function reviveSegment (seg) {
+  return typeof seg.pattern === 'string' ? { ...seg, pattern: new RegExp(seg.pattern, 'u') } : seg
+}
+
+/**
+ * Form-associated custom element wrapping `SegmentedInput`.
+ *
+ * Attributes:
+ * - `preset`     – key of a preset exported by presets.js (e.g. "ipv4", "rgba").
+ * - `segments`   – JSON array of segment definitions.  With a `preset` each entry
+ *                  is merged over the preset's segment at the same index (e.g.
+ *                  `[{}, {"max": 100}]`); without one they define the segments and
+ *                  the value is formatted by joining them with `separator`.
+ * - `separator`  – string placed between inline segments; required when there
+ *                  is more than one inline segment and no `preset`.
+ * - `name`, `required`, `disabled` – behave like on `<input>`.
+ * - `value`      – default value, restored on form reset.
+ *
+ * For options that need functions (custom `format` / `parse`, `onClick`…),
+ * assign the `options` property instead.
+ */
+class SegmentedInputElement extends HTMLElement {
+  static formAssociated = true
+  static observedAttributes = ['preset', 'segments', 'separator', 'value', 'required', 'disabled']
+
+  #internals
+  #input
+  /** @type {SegmentedInput|null} */
+  #instance = null
+  /** Options assigned through the `options` property; take precedence over `preset`. */
+  #options = null
+  /** Attribute names the inner input had before SegmentedInput forwarded its
+   *  extra options (pattern, inputmode…) onto it; anything else is removed on rebuild. */
+  #baseAttributes = null
+  /** Set once the user edits the value; the `value` attribute then stops updating it (like `<input>`). */
+  #dirty = false
+
+  constructor () {
+    super()
+    this.#internals = this.attachInternals()
+    const root = this.attachShadow({ mode: 'open', delegatesFocus: true })
+    root.innerHTML = `
+      <style>
+        :host { display: inline-block; }
+        input { font: inherit; color: inherit; width: 100%; box-sizing: border-box; }
+      </style>
+      <input part="input" />
+    `
+    this.#input = root.querySelector('input')
+
+    // Events from inside the shadow root are not composed; re-dispatch them on the host.
+    for (const type of ['input', 'change']) {
+      this.#input.addEventListener(type, () => {
+        if (type === 'input') this.#dirty = true
+        this.#syncFormState()
+        this.dispatchEvent(new Event(type, { bubbles: true }))
+      })
+    }
+    // focusin/focusout run after SegmentedInput's own focus/blur handlers have
+    // shown or cleared the placeholder segments.
+    this.#input.addEventListener('focusin', () => this.#syncFormState())
+    this.#input.addEventListener('focusout', () => this.#syncFormState())
+  }
+
+  connectedCallback () {
+    if (!this.#instance) this.#build()
+  }
+
+  attributeChangedCallback (name, oldValue, newValue) {
+    if (oldValue === newValue) return
+    switch (name) {
+      case 'required':
+        this.#input.required = newValue !== null
+        this.#syncFormState()
+        break
+      case 'disabled':
+        this.#syncDisabled()
+        break
+      case 'value':
+        if (!this.#dirty) {
+          this.#input.value = newValue ?? ''
+          this.#syncFormState()
+        }
+        break
+      default:
+        // preset / segments / separator change the segment shape: rebuild.
+        if (this.isConnected) this.#build()
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Form-associated lifecycle
+  // ---------------------------------------------------------------------------
+
+  formDisabledCallback () {
+    // Re-enabling the fieldset must not enable an element that is disabled itself.
+    this.#syncDisabled()
+  }
+
+  formResetCallback () {
+    this.#dirty = false
+    this.#input.value = this.getAttribute('value') ?? ''
+    this.#instance?.clearHistory()
+    this.#syncFormState()
+  }
+
+  formStateRestoreCallback (state) {
+    // `state` is the raw input.value saved by #syncFormState (back/forward cache, autofill).
+    this.#input.value = typeof state === 'string' ? state : ''
+    this.#syncFormState()
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** The underlying SegmentedInput instance (null before the element is connected). */
+  get instance () {
+    return this.#instance
+  }
+
+  /**
+   * Full `SegmentedInputOptions` object (with `format` / `parse` functions).
+   * Assigning rebuilds the segments; takes precedence over the `preset` attribute.
+   * @type {import('./segmented-input.js').SegmentedInputOptions|null}
+   */
+  get options () {
+    return this.#options
+  }
+
+  set options (options) {
+    this.#options = options
+    if (this.isConnected) this.#build()
+  }
+
+  /** Clean value (action segments stripped), as submitted with the form. */
+  get value () {
+    return this.#instance ? this.#instance.value : this.#input.value
+  }
+
+  set value (value) {
+    this.#dirty = true
+    this.#input.value = value ?? ''
+    this.#syncFormState()
+  }
+
+  get defaultValue () {
+    return this.getAttribute('value') ?? ''
+  }
+
+  set defaultValue (value) {
+    this.setAttribute('value', value)
+  }
+
+  get name () {
+    return this.getAttribute('name') ?? ''
+  }
+
+  set name (value) {
+    this.setAttribute('name', value)
+  }
+
+  get required () {
+    return this.hasAttribute('required')
+  }
+
+  set required (value) {
+    this.toggleAttribute('required', !!value)
+  }
+
+  get disabled () {
+    return this.hasAttribute('disabled')
+  }
+
+  set disabled (value) {
+    this.toggleAttribute('disabled', !!value)
+  }
+
+  get form () { return this.#internals.form }
+  get validity () { return this.#internals.validity }
+  get validationMessage () { return this.#internals.validationMessage }
+  get willValidate () { return this.#internals.willValidate }
+  checkValidity () { return this.#internals.checkValidity() }
+  reportValidity () { return this.#internals.reportValidity() }
+
+  // ---------------------------------------------------------------------------
+  // Private helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * (Re)create the SegmentedInput from `options`, or from the `preset` /
+   * `segments` / `separator` attributes.  The current value is kept.
+   */
+  #build () {
+    const options = this.#resolveOptions()
+    const input = this.#input
+    this.#instance?.destroy()
+    this.#instance = null
+    if (this.#baseAttributes) {
+      for (const name of input.getAttributeNames()) {
+        if (!this.#baseAttributes.includes(name)) input.removeAttribute(name)
+      }
+    }
+    input.required = this.required
+    this.#syncDisabled()
+    this.#baseAttributes = input.getAttributeNames()
+    if (!this.#dirty && this.hasAttribute('value')) input.value = this.getAttribute('value')
+    if (options) this.#instance = new SegmentedInput(input, options)
+    this.#syncFormState()
+  }
+
+  /**
+   * @returns {import('./segmented-input.js').SegmentedInputOptions|null}
+   */
+  #resolveOptions () {
+    const inline = this.hasAttribute('segments')
+      ? JSON.parse(this.getAttribute('segments')).map(reviveSegment)
+      : null
+
+    let base = this.#options
+    if (!base && this.hasAttribute('preset')) {
+      const key = this.getAttribute('preset')
+      base = Object.hasOwn(presets, key) && presets[key].segments ? presets[key] : null
+      if (!base) throw new TypeError(`<segmented-input>: unknown preset "${key}"`)
+    }
+
+    if (base) {
+      if (!inline) return base
+      return { ...base, segments: base.segments.map((seg, i) => ({ ...seg, ...inline[i] })) }
+    }
+    if (!inline) return null
+
+    const separator = this.getAttribute('separator') ?? ''
+    // Without a separator the text cannot be split back into the segments.
+    if (!separator && inline.length > 1) {
+      throw new TypeError('<segmented-input>: inline segments need a separator attribute')
+    }
+    const placeholders = inline.map(s => s.placeholder ?? String(s.value ?? s.min ?? 0))
+    return {
+      segments: inline,
+      format: values => values.join(separator),
+      parse: str => {
+        const parts = separator ? str.split(separator) : [str]
+        return placeholders.map((p, i) => parts[i] || p)
+      },
+    }
+  }
+
+  /**
+   * Disable the inner input while the element has its own `disabled`
+   * attribute or sits in a disabled fieldset.
+   */
+  #syncDisabled () {
+    this.#input.disabled = this.disabled || this.matches(':disabled')
+  }
+
+  /**
+   * Mirror the inner input's value and validity onto the element's internals.
+   * `invalidMessage` (the inner input's custom validity) and `required` both
+   * surface through `setValidity`, anchored to the inner input so the browser
+   * shows its bubble in the right place.
+   */
+  #syncFormState () {
+    const input = this.#input
+    const value = this.value
+    this.#internals.setFormValue(value || null, input.value)
+
+    const { valueMissing, patternMismatch, customError } = input.validity
+    const missing = valueMissing || (this.required && !value)
+    if (missing || patternMismatch || customError) {
+      const message = input.validationMessage || 'Please fill out this field.'
+      this.#internals.setValidity({ valueMissing: missing, patternMismatch, customError }, message, input)
+    } else {
+      this.#internals.setValidity({})
+    }
+  }
+}
+
+if (!customElements.get('segmented-input')) {
+  customElements.define('segmented-input', SegmentedInputElement)
+}
+
+export {
+  SegmentedInputElement,
+}
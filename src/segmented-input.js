@@ -1,5 +1,7 @@
 /*! <segmented-input> MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
 
+import * as builtinPresets from './presets.js'
+
 /**
  * @typedef {Object} Segment
  * @property {string}  [value]
@@ -9,6 +11,10 @@
  *   Display string shown when the segment has no real value
  *   (e.g. 'hh', 'mm', 'ss'). Defaults to `value` when not set.
  *
+ * @property {string}  [label]
+ *   Name announced by screen readers for the segment (e.g. 'hours'), as part
+ *   of the input's `aria-valuetext` ("hours, 12 of 23").
+ *
  * @property {string}  [type]
  *
  * @property {string[]} [options]
@@ -29,15 +35,46 @@
  *   When focused, pressing Enter triggers `onClick(instance, currentOption)`.
  *   If combined with `options`, ↑/↓ cycles options and typing selects the first match.
  *
- * @property {number} [min]
+ * @property {number | ((values: string[]) => number | undefined)} [min]
  *   Minimum value (clamps arrow changes).
+ *   A function receives the current values of all segments, which allows
+ *   cross-segment constraints (e.g. a day segment that depends on the month).
  *
- * @property {number} [max]
- *   Maximum value (clamps arrow changes).
+ * @property {number | ((values: string[]) => number | undefined)} [max]
+ *   Maximum value (clamps arrow changes and typed digits).
+ *   May be a function of all segment values, like `min`.
  *
  * @property {number} [step=1]
  *   Increment/decrement amount per arrow press.
  *
+ * @property {number} [largeStep]
+ *   Amount PageUp/PageDown change the segment by (e.g. 10 minutes).  Defaults
+ *   to `radix` times `step`: ten, or 16 for a hex byte.
+ *
+ * @property {Array<{after: number, steps: number}> | boolean} [acceleration=false]
+ *   How holding ↑/↓ speeds up, for segments with a wide range (e.g. dollars):
+ *   once the key has auto-repeated `after` times, each repeat moves `steps`
+ *   steps (the last matching entry wins).  `true` uses
+ *   `[{ after: 10, steps: 10 }, { after: 40, steps: 100 }]`.  By default every
+ *   repeat moves one step, so short ranges (months, hours) never jump.  Enum
+ *   segments never accelerate.
+ *
+ * @property {'clamp' | 'wrap' | 'carry'} [overflow='clamp']
+ *   What ↑/↓ do past `min`/`max`: stop at the bound, wrap around (59 → 00),
+ *   or wrap and carry/borrow one step into the numeric segment directly to the
+ *   left (seconds → minutes, cents → dollars, IPv4 octet → previous octet);
+ *   when that segment is readonly or disabled the value clamps instead.
+ *   `wrap` and `carry` need both `min` and `max`.
+ *
+ * @property {(value: string) => string} [transform]
+ *   Normalizes a new segment value before it is written (e.g. upper-case hex).
+ *   Not called for the placeholder.
+ *
+ * @property {(value: string, values: string[]) => string | undefined} [validate]
+ *   Per-segment validation, run once no segment shows its placeholder.  Return
+ *   an error message for `setCustomValidity()` (e.g. 'First octet cannot be 0'),
+ *   or `''` / `undefined`.  Checked before the options-level `validate`.
+ *
  * @property {number} [radix=10]
  *   Numeric base used for increment/decrement (e.g. 16 for hex).
  *
@@ -49,6 +86,20 @@
  *   Maximum number of typed characters before auto-advancing.
  *   Inferred from `max` when not explicitly set.
  *
+ * @property {boolean} [readonly]
+ *   The value is fixed by the app (e.g. an IPv4 prefix set by policy): the
+ *   segment can be focused and copied but not typed into, stepped, cleared or
+ *   pasted over.  Give it a `value`; it is shown instead of the placeholder.
+ *   `setSegmentValue()` still changes it.
+ *
+ * @property {boolean} [disabled]
+ *   Like `readonly`, and also skipped by keyboard navigation and clicks.
+ *
+ * @property {boolean} [optional]
+ *   The segment may be left showing its placeholder (e.g. the last group of a
+ *   card number that can have 16 or 19 digits) without the input counting as
+ *   incomplete.
+ *
  * @typedef {Object} SegmentedInputOptions
  * @property {Segment[]} segments
  *   Segment metadata configuration.
@@ -60,6 +111,63 @@
  *   Splits the full display string back into an array of segment value strings.
  *   Must always return the same number of elements as `segments`.
  *
+ * @property {{min?: number, max?: number, separator?: string}} [repeat]
+ *   Makes the input a variable-length list (ports "80, 443", OIDs "1.3.6.1").
+ *   `segments[0]` is the definition of every item; there are at least `min`
+ *   (default 1) and at most `max` (default unlimited) of them.  Typing the
+ *   separator (default ', ') on the last item appends one, Backspace on an
+ *   empty last item removes it.  `format` / `parse` are optional and default
+ *   to joining / splitting on the separator.
+ *
+ * @property {(values: string[]) => string} [serialize]
+ *   Canonical form of the value, returned by `value` instead of the display
+ *   string (e.g. ISO `YYYY-MM-DD` for a `MM/DD/YYYY` field).  `parse` should
+ *   accept this form too, so a canonical value set on the input is shown in
+ *   display format once the instance attaches.
+ *
+ * @property {(values: string[]) => Segment[]} [segmentsFor]
+ *   Picks the segment definitions for the current value, for formats whose
+ *   layout depends on what was typed (a card number grouped 4-6-5 once it is
+ *   recognised as Amex).  Called whenever the value is written; returning an
+ *   array other than the current `segments` swaps it in.  Return the same
+ *   array object for the same layout.  `format` must lay out the values to match.
+ *
+ * @property {(instance: any, previous: Segment[]) => void} [onSegmentsChange]
+ *   Called after `segmentsFor` swapped the segments, with the previous ones.
+ *   Only writes (typing, stepping, paste, undo, setters, focus on a value set
+ *   from outside) report a swap; reading `value` never calls it.
+ *
+ * @property {(values: string[]) => string} [blurFormat]
+ *   Alternative display text shown while the input is not focused and every
+ *   segment is filled (e.g. a compressed IPv6 address).  `parse` must accept
+ *   it; focusing the input shows the `format` text again.
+ *
+ * @property {(text: string) => string} [normalizePaste]
+ *   Rewrites pasted text given in another notation into the display form, so
+ *   it replaces every segment (`'#ff8800'` → `'rgba(255, 136, 0, 1)'`,
+ *   `'2001:db8::1'` → eight IPv6 groups).  Return the text unchanged when it
+ *   is not such a value.  Runs after `segmentpaste` listeners.
+ *
+ * @property {(values: string[]) => Date | null} [toDate]
+ * @property {(date: Date) => string[]} [fromDate]
+ * @property {(values: string[]) => number} [toNumber]
+ * @property {(number: number) => string[]} [fromNumber]
+ * @property {(values: string[]) => object | null} [toObject]
+ * @property {(object: object) => string[]} [fromObject]
+ *   Conversions behind `valueAsDate`, `valueAsNumber` and `valueAsObject`.
+ *   `to*` receive the segment values once every segment is filled; `from*`
+ *   return the segment values for the given date / number / object.
+ *
+ * @property {(values: string[], options: SegmentedInputOptions) => string | undefined} [validate]
+ *   Cross-segment validation, called with every segment value once no segment
+ *   shows its placeholder any more.  Return an error message (ideally naming
+ *   the offending segment) to mark the input invalid, or `''` / `undefined`.
+ *   The instance's options are passed along for checks that are opt-in.
+ *
+ * @property {boolean} [strict=false]
+ *   Opt into a preset's stricter `validate` where it has one (`ipv4Cidr`
+ *   rejects an address with host bits set).
+ *
  * @property {string} [invalidMessage='Please fill in all fields.']
  *   Message passed to `setCustomValidity()` when one or more segments
  *   still show placeholder text.
@@ -68,13 +176,58 @@
  *   CSS class added to the `<input>` when the active segment
  *   is a selectable action segment.
  *
+ * @property {boolean} [wheel=false]
+ *   Scroll the mouse wheel over a segment of the focused input to step it
+ *   (Shift steps by `largeStep`).
+ *
+ * @property {boolean} [scrub=false]
+ *   Press and drag horizontally on a numeric segment to scrub its value, like
+ *   number fields in DevTools or Figma (Shift steps by `largeStep`).
+ *
+ * @property {typeof import('./listbox.js').SegmentListbox} [listbox]
+ *   Let users pick the value of `options` segments from a popup list
+ *   (`role="listbox"`) under the segment, opened by Alt+↓ or a click on the
+ *   segment.  Pass the `SegmentListbox` class from listbox.js, so pages that
+ *   do not use it never load it.  The list supports ↑/↓/Home/End, Enter,
+ *   Escape and type-ahead; the input becomes a `role="combobox"`.
+ *
+ * @property {'segment' | 'value' | ((instance: any) => string)} [copyMode='segment']
+ *   What Ctrl+C / Ctrl+X put on the clipboard.
+ *   `'segment'` copies the active segment's value, `'value'` copies the clean
+ *   `value` (action segments and ZWS guards stripped), and a function receives
+ *   the instance and returns the text to copy.
+ *   When the selection spans more than the active segment (e.g. after selecting
+ *   all text) the clean `value` is always copied.
+ *
  * Any additional properties (e.g. `inputmode`, `autocapitalize`, `autocomplete`,
  * `autofocus`, `id`, `class`, etc.) are treated as HTML attributes and set on the
  * `<input>` element — but only when the attribute is not already present on the element.
  */
 
+/** Maximum number of undo steps kept per instance. */
+const HISTORY_LIMIT = 100
+
+/** `acceleration` curve for held ↑/↓ keys used by `acceleration: true`. */
+const DEFAULT_ACCELERATION = [{ after: 10, steps: 10 }, { after: 40, steps: 100 }]
+
+/** Wheel delta (px) per step; smaller trackpad deltas accumulate until they reach it. */
+const WHEEL_THRESHOLD = 40
+
+/** Wheel steps on one segment less than this many ms apart are undone together. */
+const WHEEL_BURST_MS = 500
+
+/** Horizontal drag distance (px) per step while scrubbing, and before scrubbing starts. */
+const SCRUB_PIXELS = 4
+
+/** Selector used by `SegmentedInput.upgradeAll()` / `observe()`. */
+const AUTO_SELECTOR = 'input[data-segmented]'
+
+/** Every live instance, keyed by its `<input>`, so auto-initialisation never attaches twice. */
+const instances = new WeakMap()
+
 /** Option keys that are handled directly by SegmentedInput and must not be forwarded to the input element as HTML attributes. */
-const RESERVED_OPTION_KEYS = new Set(['segments', 'format', 'parse', 'invalidMessage', 'actionActiveClass'])
+const RESERVED_OPTION_KEYS = new Set(['segments', 'format', 'parse', 'serialize', 'blurFormat', 'normalizePaste', 'segmentsFor', 'validate',
+  'strict', 'toDate', 'fromDate', 'toNumber', 'fromNumber', 'toObject', 'fromObject', 'invalidMessage', 'actionActiveClass', 'copyMode', 'wheel', 'scrub', 'listbox', 'repeat'])
 
 /**
  * Compute the start/end character positions of each segment within the formatted string.
@@ -166,6 +319,88 @@ function highlightSegment (input, segmentIndex, segmentRanges) {
   }
 }
 
+/**
+ * Collect per-segment overrides from `data-segment-<index>-<property>` attributes,
+ * e.g. `data-segment-3-max="0.5"` or `data-segment-0-max-length="3"`.
+ * Indexes are zero-based, like `focusSegment(index)`.
+ * Values are read as JSON when possible (numbers, booleans, arrays); `pattern`
+ * is compiled to a RegExp with the `u` flag and `options` also accepts a
+ * comma-separated list.
+ *
+ * @param {HTMLInputElement} input
+ * @returns {Map<number, object>} segment index → partial segment definition
+ */
+function readSegmentOverrides (input) {
+  const overrides = new Map()
+  for (const { name, value } of input.attributes) {
+    const m = name.match(/^data-segment-(\d+)-(.+)$/)
+    if (!m) continue
+    const index = Number(m[1])
+    const prop = m[2].replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+    let parsed
+    if (prop === 'pattern') {
+      parsed = new RegExp(value, 'u')
+    } else {
+      try { parsed = JSON.parse(value) } catch { parsed = value }
+      if (prop === 'options' && typeof parsed === 'string') parsed = parsed.split(',').map(o => o.trim())
+    }
+    overrides.set(index, { ...overrides.get(index), [prop]: parsed })
+  }
+  return overrides
+}
+
+/**
+ * Normalize the `repeat` option (null when not set), and check that `format`
+ * and `parse` are given unless a `repeat` list supplies the defaults.
+ * @param {SegmentedInputOptions} options
+ * @returns {{min: number, max: number, separator: string, segment: Segment} | null}
+ */
+function resolveRepeat (options) {
+  const repeat = options.repeat ? {
+    min: Math.max(1, options.repeat.min ?? 1),
+    max: options.repeat.max ?? Infinity,
+    separator: options.repeat.separator ?? ', ',
+    segment: options.segments?.[0] ?? {},
+  } : null
+  if (!repeat && (typeof options.format !== 'function' || typeof options.parse !== 'function')) {
+    throw new TypeError('SegmentedInput: options.format and options.parse must be functions')
+  }
+  return repeat
+}
+
+/**
+ * Text a segment shows while it has no value: explicit `placeholder` string >
+ * `value` default > `min` > '0'.
+ * @param {Segment} seg
+ * @returns {string}
+ */
+function segmentPlaceholder (seg) {
+  return seg.placeholder ?? String(seg.value ?? seg.min ?? 0)
+}
+
+/**
+ * Default `format` / `parse` for a `repeat` list: items joined by `separator`.
+ * Parsing splits on the separator without its surrounding whitespace (any
+ * whitespace when the separator is only whitespace), fills empty items with
+ * the placeholder and pads / truncates to `min` / `max` items.
+ *
+ * @param {{min: number, max: number, separator: string}} repeat
+ * @param {string} placeholder
+ * @returns {{format: (values: string[]) => string, parse: (str: string) => string[]}}
+ */
+function listFormat ({ min, max, separator }, placeholder) {
+  const sep = separator.trim()
+  return {
+    format: values => values.join(separator),
+    parse (str) {
+      const parts = sep ? str.split(sep).map(p => p.trim()) : str.trim().split(/\s+/)
+      const values = parts.slice(0, max).map(p => p || placeholder)
+      while (values.length < min) values.push(placeholder)
+      return values
+    },
+  }
+}
+
 /**
  * A `SegmentedInput` instance attaches to an `<input>` element and turns it into
  * a segmented picker that works like `<input type="date">`.
@@ -191,10 +426,22 @@ class SegmentedInput extends EventTarget {
   // Private fields
   // ---------------------------------------------------------------------------
 
+  /** The options the instance was built from, merged with every `setOptions()` call. */
+  #options
   #format
   #parse
+  #serialize
+  #blurFormat
+  #normalizePaste
+  #segmentsFor
+  #onSegmentsChange
+  /** `{ min, max, separator, segment }` for a variable-length list (see `repeat`), else null. */
+  #repeat
+  /** Preset conversions: `{ toDate, fromDate, toNumber, fromNumber, toObject, fromObject }`. */
+  #convert
   #activeSegment
   #invalidMessage
+  #validate
   #segmentBuffer
   #placeholderJustSet
   #placeholderValues
@@ -202,9 +449,44 @@ class SegmentedInput extends EventTarget {
   /** CSS class added to `input` when the active segment is a selectable action segment.
    *  Lets developers style `input.si-action-active::selection` differently. */
   #actionClass
+  #copyMode
+  #wheel
+  #scrub
+  /** The `listbox` class when `options` segments open the popup list, else null. */
+  #listboxClass = null
+  /** The popup list, created on first use; `#listboxIndex` is the segment it edits. */
+  #listbox = null
+  #listboxIndex = -1
+  /** Auto-repeats of the ↑/↓ key currently held down (drives `acceleration`). */
+  #heldRepeats = 0
+  /** Wheel delta not yet turned into a step (see WHEEL_THRESHOLD). */
+  #wheelDelta = 0
+  /** Segment and time of the last wheel step, to merge a burst into one undo step. */
+  #lastWheel = null
+  /** Drag in progress: `{ pointerId, index, startX, applied, active, stepped }`, or null. */
+  #scrubState = null
+  /** Cached result of #textMeasure; dropped on focus and on every press. */
+  #measure = null
+  /** True when #updateRole set `role` (spinbutton or combobox), so destroy() removes it again. */
+  #ownsRole = false
+  /** True when some segment is a bounded number, so the input is exposed as a spin button. */
+  #numericLayout = false
+  /** True while #updateRole has set `aria-haspopup` / `aria-expanded` for the listbox. */
+  #ownsPopupAria = false
+  /** True when the constructor filled in `input.placeholder`, so destroy() removes it again. */
+  #ownsPlaceholder = false
+  /** Attributes the constructor forwarded from options, removed again by destroy(). */
+  #ownedAttributes = []
   /** clientX captured at mousedown – used to recover intended click position after
    *  the value changes in #onFocusIn for an initially-empty input. */
   #pendingClickX = null
+  /** input.value captured at `beforeinput` time – lets #onNativeInput revert a
+   *  mutation the browser applied without asking (e.g. IME composition on Android). */
+  #valueBeforeInput = null
+  /** Undo stack of `{ value, index }` snapshots; `index` is the segment whose
+   *  change produced the snapshot, so undo/redo can put the focus back there. */
+  #history = []
+  #historyIndex = -1
 
   // Bound event-handler references kept for clean removeEventListener in destroy().
   #onClick
@@ -212,6 +494,15 @@ class SegmentedInput extends EventTarget {
   #onBlur
   #onKeyDown
   #onMouseDown
+  #onBeforeInput
+  #onInput
+  #onPaste
+  #onCopy
+  #onCut
+  #onWheel
+  #onPointerDown
+  #onPointerMove
+  #onPointerUp
 
   /**
    * @param {HTMLInputElement} input - the input element to enhance
@@ -221,36 +512,25 @@ class SegmentedInput extends EventTarget {
     if (!input || input.tagName !== 'INPUT') {
       throw new TypeError('SegmentedInput: first argument must be an <input> element')
     }
-    if (typeof options.format !== 'function' || typeof options.parse !== 'function') {
-      throw new TypeError('SegmentedInput: options.format and options.parse must be functions')
-    }
+    const repeat = resolveRepeat(options)
 
     super() // EventTarget constructor
 
+    instances.set(input, this)
+
     this.input = input
-    this.segments = options.segments || []
-    this.#format = options.format
-    this.#parse = options.parse
-    this.#activeSegment = this.#findEditable(0, +1) ?? 0
-    this.#invalidMessage = options.invalidMessage ?? 'Please fill in all fields.'
-    this.#actionClass = options.actionActiveClass ?? 'si-action-active'
+    this.#configure(options, repeat)
+    this.#activeSegment = this.#findEditable(0, +1) ?? this.#findFocusable(0, +1) ?? 0
     // Buffer accumulates typed characters for the active segment between focus changes.
     this.#segmentBuffer = ''
     // Flag set by #onFocusIn when it fills in the placeholder from an empty value;
     // used by #onClickOrFocus together with #pendingClickX for single-click action detection.
     this.#placeholderJustSet = false
 
-    // Compute the placeholder values once (used for Backspace reset and the HTML placeholder).
-    // Resolution order: explicit `placeholder` string > `value` default > `min` > '0'.
-    // For non-numeric segments (e.g. UUID hex groups) always set an explicit `placeholder`.
-    this.#placeholderValues = this.segments.map(s => s.placeholder ?? String(s.value ?? s.min ?? 0))
-    // Guarded version (ZWS around action segments) is used for input.value.
-    // Clean version (no ZWS) is used for the HTML placeholder attribute.
-    this.#formattedPlaceholder = this.#formatGuarded(this.#placeholderValues)
-
     // Set input.placeholder to the formatted segment placeholders when one is not already set.
     if (!input.placeholder) {
-      input.placeholder = this.#format(this.#placeholderValues)
+      input.placeholder = this.#format(this.#blankValues())
+      this.#ownsPlaceholder = true
     }
 
     // Apply any extra options as HTML attributes on the input (e.g. inputmode, autocapitalize,
@@ -259,38 +539,136 @@ class SegmentedInput extends EventTarget {
     for (const [key, val] of Object.entries(options)) {
       if (!RESERVED_OPTION_KEYS.has(key) && !key.startsWith('on') && val != null && !input.hasAttribute(key)) {
         input.setAttribute(key, val)
+        this.#ownedAttributes.push(key)
       }
     }
 
     // Leave input.value as-is when it already has a real value from markup.
     // When empty, we keep it empty so the browser shows the HTML placeholder attribute
     // and the field correctly fails constraint validation (e.g. required).
+    // A canonical value (see `serialize`) is re-formatted for display.
+    if (this.#serialize && input.value) {
+      input.value = this.#formatGuarded(this.#parse(this.#stripZWS(input.value)))
+    }
+    this.#syncSegments()
+    if (input.ownerDocument?.activeElement !== input) this.#showBlurFormat()
 
     // Set initial validity so a pre-filled value with partial placeholders is flagged.
     this.#updateValidity()
 
+    // Expose the active segment to assistive technology as a spin button
+    // (aria-valuenow/min/max/valuetext, kept current by #updateAria).
+    this.#updateRole()
+    this.#updateAria()
+
     this.#onClick = this.#onClickOrFocus.bind(this)
     this.#onFocus = this.#onFocusIn.bind(this)
     this.#onBlur = this.#onBlurOut.bind(this)
     this.#onKeyDown = this.#onKeydown.bind(this)
     this.#onMouseDown = this.#captureMouseX.bind(this)
+    this.#onBeforeInput = this.#onBeforeInputEvent.bind(this)
+    this.#onInput = this.#onNativeInput.bind(this)
+    this.#onPaste = this.#onPasteEvent.bind(this)
+    this.#onCopy = this.#onCopyEvent.bind(this)
+    this.#onCut = this.#onCutEvent.bind(this)
+    this.#onWheel = this.#onWheelEvent.bind(this)
+    this.#onPointerDown = this.#onScrubStart.bind(this)
+    this.#onPointerMove = this.#onScrubMove.bind(this)
+    this.#onPointerUp = this.#onScrubEnd.bind(this)
 
     input.addEventListener('mousedown', this.#onMouseDown)
     input.addEventListener('click', this.#onClick)
     input.addEventListener('focus', this.#onFocus)
     input.addEventListener('blur', this.#onBlur)
     input.addEventListener('keydown', this.#onKeyDown)
+    input.addEventListener('beforeinput', this.#onBeforeInput)
+    input.addEventListener('input', this.#onInput)
+    input.addEventListener('paste', this.#onPaste)
+    input.addEventListener('copy', this.#onCopy)
+    input.addEventListener('cut', this.#onCut)
+    this.#bindGestures()
   }
 
   // ---------------------------------------------------------------------------
   // Public API
   // ---------------------------------------------------------------------------
 
+  /**
+   * Attach an instance to every `<input data-segmented="<preset>">` inside `root`
+   * (including `root` itself) that does not have one yet.  The attribute names a
+   * preset from presets.js, or from `presets` when given (e.g. app-specific
+   * ones); `data-segment-<index>-<property>` attributes override individual
+   * segment properties (see readSegmentOverrides).  An input naming an unknown
+   * preset is skipped silently and left a plain input; it is not in the result.
+   *
+   * @example
+   * // <input data-segmented="rgba" data-segment-3-step="0.05">
+   * SegmentedInput.upgradeAll(document)
+   *
+   * @param {ParentNode} [root=document]
+   * @param {Record<string, SegmentedInputOptions>} [presets] - defaults to the presets.js exports
+   * @returns {SegmentedInput[]} the newly created instances
+   */
+  static upgradeAll (root = document, presets = builtinPresets) {
+    const inputs = [...root.querySelectorAll(AUTO_SELECTOR)]
+    if (root.matches?.(AUTO_SELECTOR)) inputs.unshift(root)
+
+    const created = []
+    for (const input of inputs) {
+      if (instances.has(input)) continue
+      const key = input.dataset.segmented
+      const preset = Object.hasOwn(presets, key) && presets[key].segments ? presets[key] : null
+      if (!preset) continue
+      const overrides = readSegmentOverrides(input)
+      const segments = preset.segments.map((seg, i) => ({ ...seg, ...overrides.get(i) }))
+      created.push(new SegmentedInput(input, { ...preset, segments }))
+    }
+    return created
+  }
+
+  /**
+   * Upgrade `root` now, then keep watching it with a MutationObserver:
+   * matching inputs added later (server-rendered fragments, htmx swaps…) are
+   * upgraded, removed ones are destroyed, and changing `data-segmented`
+   * re-creates the instance with the new preset.
+   * Call `disconnect()` on the returned observer to stop.
+   *
+   * @param {Node} [root=document]
+   * @param {Record<string, SegmentedInputOptions>} [presets] - as for upgradeAll()
+   * @returns {MutationObserver}
+   */
+  static observe (root = document, presets = builtinPresets) {
+    SegmentedInput.upgradeAll(root, presets)
+
+    const observer = new MutationObserver(records => {
+      for (const record of records) {
+        if (record.type === 'attributes') {
+          instances.get(record.target)?.destroy()
+          if (record.target.isConnected) SegmentedInput.upgradeAll(record.target, presets)
+          continue
+        }
+        for (const node of record.removedNodes) {
+          // A node moved elsewhere in the document is still connected: keep it.
+          if (node.nodeType !== 1 || node.isConnected) continue
+          for (const input of [node, ...node.querySelectorAll(AUTO_SELECTOR)]) {
+            instances.get(input)?.destroy()
+          }
+        }
+        for (const node of record.addedNodes) {
+          if (node.nodeType === 1 && node.isConnected) SegmentedInput.upgradeAll(node, presets)
+        }
+      }
+    })
+    observer.observe(root, { childList: true, subtree: true, attributes: true, attributeFilter: ['data-segmented'] })
+    return observer
+  }
+
   /**
    * The "clean" value — `input.value` with every action segment's text (and any
    * immediately-preceding zero-width space separators) removed.
    *
    * Returns `""` when the field is empty or still showing its full placeholder.
+   * With a `serialize` option the canonical form it returns is used instead.
    *
    * @example
    * // dateWithPicker: input.value is "2024-01-15​📅"
@@ -299,6 +677,7 @@ class SegmentedInput extends EventTarget {
    */
   get value () {
     if (!this.input.value || this.#isPlaceholderState()) return ''
+    if (this.#serialize) return this.#serialize(this.#currentValues())
     const ranges = this.getSegmentRanges()
     let result = this.input.value
     // Iterate in reverse so earlier offsets remain valid after each splice.
@@ -316,6 +695,54 @@ class SegmentedInput extends EventTarget {
     return result.trimEnd()
   }
 
+  /**
+   * The value as a `Date`, for presets that declare `toDate` / `fromDate`
+   * (`date`, `time`, `dateWithPicker`, `createDatePreset()`).  Like
+   * `<input type="date">` the date is at UTC midnight, and a time is on
+   * 1970-01-01 UTC.  `null` while any segment is unfilled; assigning `null`
+   * clears the field.
+   * @type {Date | null}
+   */
+  get valueAsDate () {
+    const values = this.#filledValues()
+    return values && this.#convert.toDate ? this.#convert.toDate(values) : null
+  }
+
+  set valueAsDate (date) {
+    this.#setConverted('fromDate', 'valueAsDate', date)
+  }
+
+  /**
+   * The value as a number, for presets that declare `toNumber` / `fromNumber`
+   * (total seconds for `duration`, cents for `price`).  `NaN` while any
+   * segment is unfilled; assigning `NaN` clears the field.
+   * @type {number}
+   */
+  get valueAsNumber () {
+    const values = this.#filledValues()
+    return values && this.#convert.toNumber ? this.#convert.toNumber(values) : NaN
+  }
+
+  set valueAsNumber (number) {
+    this.#setConverted('fromNumber', 'valueAsNumber', number)
+  }
+
+  /**
+   * The value as an object of named fields, for presets that declare
+   * `toObject` / `fromObject` (`{ r, g, b, a }` for `rgba`,
+   * `{ major, minor, patch }` for `semver`).  `null` while any segment is
+   * unfilled; assigning `null` clears the field.
+   * @type {object | null}
+   */
+  get valueAsObject () {
+    const values = this.#filledValues()
+    return values && this.#convert.toObject ? this.#convert.toObject(values) : null
+  }
+
+  set valueAsObject (object) {
+    this.#setConverted('fromObject', 'valueAsObject', object)
+  }
+
   /**
    * Compute and return the character ranges for every segment based on the
    * current input value.
@@ -336,14 +763,14 @@ class SegmentedInput extends EventTarget {
    */
   focusSegment (index) {
     let clamped = Math.max(0, Math.min(index, this.segments.length - 1))
-    // If the target is a non-selectable action segment, find the nearest editable one
+    // If the target is a non-selectable action segment or a disabled one, find the nearest focusable one
     const seg = this.segments[clamped]
-    if (this.#isActionSegment(seg) && !seg.selectable) {
-      const fwd = this.#findEditable(clamped + 1, +1)
-      const bwd = this.#findEditable(clamped - 1, -1)
+    if ((this.#isActionSegment(seg) && !seg.selectable) || seg?.disabled) {
+      const fwd = this.#findFocusable(clamped + 1, +1)
+      const bwd = this.#findFocusable(clamped - 1, -1)
       if (fwd !== null) clamped = fwd
       else if (bwd !== null) clamped = bwd
-      else return // all segments are action segments (edge case)
+      else return // all segments are action or disabled segments (edge case)
     }
     // Emit blur for the segment we're leaving (only when actually changing)
     if (clamped !== this.#activeSegment) {
@@ -361,6 +788,7 @@ class SegmentedInput extends EventTarget {
       this.input.classList.remove(this.#actionClass)
     }
     highlightSegment(this.input, clamped, this.getSegmentRanges())
+    this.#updateAria()
     this.#emit('segmentfocus', { index: clamped, segment: this.segments[clamped] })
   }
 
@@ -382,12 +810,27 @@ class SegmentedInput extends EventTarget {
   setSegmentValue (index, newValue) {
     const values = this.#currentValues()
     values[index] = String(newValue)
-    this.input.value = this.#formatGuarded(values)
+    this.#writeValues(values, index, { change: true, source: 'api' })
     this.focusSegment(index)
-    this.#dispatch('input')
-    this.#dispatch('change')
-    this.#updateValidity()
-    this.#emit('segmentchange', { index, value: String(newValue) })
+  }
+
+  /**
+   * Overwrite several segments in one write — one undo step and one set of
+   * `input` / `change` events — then focus the last of them.
+   *
+   * @example
+   * inst.setSegmentValues({ 0: '2024', 1: '02', 2: '29' })
+   *
+   * @param {Record<number, string|number>} changes - new values by segment index
+   */
+  setSegmentValues (changes) {
+    const values = this.#currentValues()
+    const indexes = Object.keys(changes).map(Number)
+    if (!indexes.length) return
+    for (const i of indexes) values[i] = String(changes[i])
+    const last = Math.max(...indexes)
+    this.#writeValues(values, last, { change: true, source: 'api' })
+    this.focusSegment(last)
   }
 
   /**
@@ -395,7 +838,7 @@ class SegmentedInput extends EventTarget {
    * clamped to `max` if defined.
    */
   increment () {
-    this.#adjustSegment(this.#activeSegment, +1)
+    this.stepBy(this.#activeSegment, 1)
   }
 
   /**
@@ -403,27 +846,292 @@ class SegmentedInput extends EventTarget {
    * clamped to `min` if defined.
    */
   decrement () {
-    this.#adjustSegment(this.#activeSegment, -1)
+    this.stepBy(this.#activeSegment, -1)
+  }
+
+  /**
+   * Move segment `index` by `n` steps of its `step` (negative `n` moves down),
+   * honouring `min` / `max` and `overflow`, then focus it.  Fires `input`,
+   * `change` and `segmentchange` like ↑/↓.  Enum segments move `n` options.
+   *
+   * @example
+   * price.stepBy(0, 100) // dollars + 100
+   *
+   * @param {number} index
+   * @param {number} n
+   */
+  stepBy (index, n) {
+    this.#adjustSegment(index, n)
+  }
+
+  /**
+   * Revert the most recent segment change (typed value, arrow step, clear,
+   * paste, option cycle…) and focus the segment it affected.
+   * Bound to Ctrl+Z / ⌘Z.
+   * @returns {boolean} `false` when there was nothing to undo
+   */
+  undo () {
+    if (this.#historyIndex <= 0) return false
+    const { index } = this.#history[this.#historyIndex]
+    this.#historyIndex--
+    this.#restoreSnapshot(this.#history[this.#historyIndex].value, index)
+    return true
+  }
+
+  /**
+   * Re-apply a change reverted by `undo()`.
+   * Bound to Ctrl+Shift+Z / ⌘⇧Z and Ctrl+Y.
+   * @returns {boolean} `false` when there was nothing to redo
+   */
+  redo () {
+    if (this.#historyIndex >= this.#history.length - 1) return false
+    this.#historyIndex++
+    const { value, index } = this.#history[this.#historyIndex]
+    this.#restoreSnapshot(value, index)
+    return true
+  }
+
+  /**
+   * Forget all undo/redo steps, e.g. after the form was saved.
+   */
+  clearHistory () {
+    this.#history = []
+    this.#historyIndex = -1
+  }
+
+  /**
+   * Change options without re-instantiating: `options` is merged over the
+   * current ones (replace `segments` as a whole).  The current value is re-laid
+   * out in the new shape: with as many segments as before, segment `i` keeps
+   * its value; otherwise the old text is read with the new `parse`.  The
+   * active segment, focus, listeners and validity are kept up to date, and
+   * `input` / `change` fire when the value changed.  Undo history is cleared,
+   * since it holds the old layout.
+   * HTML attribute options (e.g. `inputmode`) only apply at construction.
+   *
+   * @example
+   * // amount = new SegmentedInput(el, presets.currency)
+   * // Yen has no minor unit: drop the cents segment ('¥1200.00' → '¥1200').
+   * amount.setOptions({
+   *   segments: presets.currency.segments.slice(0, 2),
+   *   format: values => values.join(''),
+   *   parse: str => str.match(/^([^\d-]+)(--|\d+)/)?.slice(1) ?? ['?', '--'],
+   * })
+   *
+   * @param {Partial<SegmentedInputOptions>} options
+   */
+  setOptions (options) {
+    const merged = { ...this.#options, ...options }
+    const repeat = resolveRepeat(merged)
+    const oldSegments = this.segments
+    const oldPlaceholders = this.#placeholderValues
+    const before = this.input.value ? this.#currentValues() : null
+    const beforeText = before && this.#format(before)
+    const oldValue = this.value
+    const ownPlaceholder = this.input.placeholder === this.#format(this.#blankValues())
+
+    this.#configure(merged, repeat)
+    this.#bindGestures()
+    if (ownPlaceholder) this.input.placeholder = this.#format(this.#blankValues())
+
+    if (before) {
+      const count = repeat ? before.length : this.segments.length
+      let values = Array.from({ length: count }, (_, i) => {
+        const placeholder = this.#placeholderValues[i] ?? this.#placeholderValues[0]
+        return i < before.length && before[i] !== oldPlaceholders[i] ? before[i] : placeholder
+      })
+      if (!repeat && count !== before.length) {
+        // A different shape: segments may have moved, so read the text again —
+        // unless the new `parse` cannot make anything of it.
+        const reparsed = this.#parse(beforeText).map((value, i) =>
+          oldPlaceholders.includes(value) ? this.#placeholderValues[i] : value)
+        if (reparsed.some((value, i) => value !== this.#placeholderValues[i])) values = reparsed
+      }
+      this.input.value = this.#formatGuarded(values)
+    }
+    this.#syncSegments()
+    if (this.#findFocusable(this.#activeSegment, +1) !== this.#activeSegment) {
+      this.#activeSegment = this.#findFocusable(Math.min(this.#activeSegment, this.segments.length - 1), -1) ?? this.#findFocusable(0, +1) ?? 0
+    }
+    this.#segmentBuffer = ''
+    this.clearHistory()
+    this.#updateValidity()
+    this.#updateRole()
+    this.#updateAria()
+    if (this.#segmentsFor && this.segments !== oldSegments) this.#onSegmentsChange?.(this, oldSegments)
+    if (this.value !== oldValue) {
+      this.#dispatch('input')
+      this.#dispatch('change')
+    }
+    if (this.input.ownerDocument?.activeElement === this.input) {
+      this.focusSegment(this.#activeSegment)
+    } else {
+      this.#showBlurFormat()
+    }
+  }
+
+  /**
+   * Merge `patch` into the definition of segment `index` (e.g. a new `max` or
+   * `options`) — shorthand for `setOptions()` with the updated `segments`.
+   * Every item of a `repeat` list shares one definition, so any index updates it.
+   *
+   * @example
+   * inst.updateSegment(2, { max: 29 })
+   *
+   * @param {number} index
+   * @param {Partial<Segment>} patch
+   */
+  updateSegment (index, patch) {
+    const segments = [...this.#options.segments]
+    const i = this.#repeat ? 0 : index
+    segments[i] = { ...segments[i], ...patch }
+    this.setOptions({ segments })
   }
 
   /**
    * Remove all event listeners and detach the instance from the input element.
+   * Attributes the instance added (the generated placeholder, forwarded options,
+   * role and aria-*) are removed too, so the input can be upgraded afresh.
    */
   destroy () {
+    if (instances.get(this.input) === this) instances.delete(this.input)
     this.input.removeEventListener('mousedown', this.#onMouseDown)
     this.input.removeEventListener('click', this.#onClick)
     this.input.removeEventListener('focus', this.#onFocus)
     this.input.removeEventListener('blur', this.#onBlur)
     this.input.removeEventListener('keydown', this.#onKeyDown)
+    this.input.removeEventListener('beforeinput', this.#onBeforeInput)
+    this.input.removeEventListener('input', this.#onInput)
+    this.input.removeEventListener('paste', this.#onPaste)
+    this.input.removeEventListener('copy', this.#onCopy)
+    this.input.removeEventListener('cut', this.#onCut)
+    this.input.removeEventListener('wheel', this.#onWheel)
+    this.input.removeEventListener('pointerdown', this.#onPointerDown)
+    this.input.removeEventListener('pointermove', this.#onPointerMove)
+    this.input.removeEventListener('pointerup', this.#onPointerUp)
+    this.input.removeEventListener('pointercancel', this.#onPointerUp)
+    if (this.#scrub) this.input.style.cursor = ''
+    this.#listbox?.destroy()
+    for (const name of ['aria-valuenow', 'aria-valuemin', 'aria-valuemax', 'aria-valuetext', 'aria-readonly']) {
+      this.input.removeAttribute(name)
+    }
+    if (this.#ownsRole) this.input.removeAttribute('role')
+    if (this.#ownsPopupAria) {
+      this.input.removeAttribute('aria-haspopup')
+      this.input.removeAttribute('aria-expanded')
+    }
+    if (this.#ownsPlaceholder) this.input.removeAttribute('placeholder')
+    for (const name of this.#ownedAttributes) this.input.removeAttribute(name)
   }
 
   // ---------------------------------------------------------------------------
   // Private helpers
   // ---------------------------------------------------------------------------
 
-  #adjustSegment (index, direction) {
+  /**
+   * Open the popup list of the `options` segment `index` under its characters.
+   * @param {number} index
+   * @returns {boolean} false when `listbox` is off or the segment offers nothing to pick
+   */
+  #openListbox (index) {
     const seg = this.segments[index]
-    if (!seg) return
+    if (!this.#listboxClass || !seg?.options || this.#isLocked(seg) || this.#isReadOnly()) return false
+    if (this.#isActionSegment(seg) && !seg.selectable) return false
+    if (!this.input.value) this.input.value = this.#formattedPlaceholder
+    const range = this.getSegmentRanges()[index]
+    const rect = this.input.getBoundingClientRect()
+    this.#listbox ??= new this.#listboxClass(this.input, option => this.#pickOption(option))
+    this.#listboxIndex = index
+    this.#listbox.show(seg.options, this.#currentValues()[index], {
+      left: rect.left + this.#xFromCharPos(range.start),
+      top: rect.bottom,
+    })
+    return true
+  }
+
+  /**
+   * Commit an option chosen in the popup list to the segment it was opened for.
+   * @param {string} option
+   */
+  #pickOption (option) {
+    const index = this.#listboxIndex
+    const values = this.#currentValues()
+    this.#segmentBuffer = ''
+    if (values[index] !== option) {
+      values[index] = option
+      this.#writeValues(values, index, { change: true, source: 'pick' })
+    }
+    this.focusSegment(index)
+  }
+
+  /**
+   * Take over `options` (shared by the constructor and `setOptions()`) and
+   * recompute the placeholder values.
+   * @param {SegmentedInputOptions} options
+   * @param {object|null} repeat - from resolveRepeat(options)
+   */
+  #configure (options, repeat) {
+    this.#options = options
+    this.#repeat = repeat
+    const list = repeat && listFormat(repeat, segmentPlaceholder(repeat.segment))
+    this.segments = repeat ? Array(repeat.min).fill(repeat.segment) : options.segments || []
+    this.#format = options.format ?? list.format
+    this.#parse = options.parse ?? list.parse
+    this.#serialize = options.serialize
+    this.#blurFormat = options.blurFormat
+    this.#normalizePaste = options.normalizePaste
+    this.#segmentsFor = options.segmentsFor
+    this.#onSegmentsChange = options.onSegmentsChange
+    const { toDate, fromDate, toNumber, fromNumber, toObject, fromObject } = options
+    this.#convert = { toDate, fromDate, toNumber, fromNumber, toObject, fromObject }
+    this.#invalidMessage = options.invalidMessage ?? 'Please fill in all fields.'
+    this.#validate = options.validate
+    if (this.#actionClass) this.input.classList.remove(this.#actionClass)
+    this.#actionClass = options.actionActiveClass ?? 'si-action-active'
+    this.#copyMode = options.copyMode ?? 'segment'
+    if (this.#scrub && !options.scrub) this.input.style.cursor = ''
+    this.#wheel = !!options.wheel
+    this.#scrub = !!options.scrub
+    if (options.listbox && typeof options.listbox !== 'function') {
+      throw new TypeError('SegmentedInput: `listbox` takes the SegmentListbox class from listbox.js')
+    }
+    if (this.#listboxClass !== (options.listbox || null)) {
+      this.#listbox?.destroy()
+      this.#listbox = null
+    }
+    this.#listboxClass = options.listbox || null
+
+    // Placeholder values are used for Backspace reset and the HTML placeholder.
+    // For non-numeric segments (e.g. UUID hex groups) always set an explicit `placeholder`.
+    this.#placeholderValues = this.segments.map(segmentPlaceholder)
+    // Guarded version (ZWS around action segments) is used for input.value.
+    // Clean version (no ZWS) is used for the HTML placeholder attribute.
+    this.#formattedPlaceholder = this.#formatGuarded(this.#blankValues())
+  }
+
+  /** Add the wheel / scrub listeners the options ask for, and remove the others. */
+  #bindGestures () {
+    const input = this.input
+    input.removeEventListener('wheel', this.#onWheel)
+    if (this.#wheel) input.addEventListener('wheel', this.#onWheel, { passive: false })
+    for (const [type, handler] of [['pointerdown', this.#onPointerDown], ['pointermove', this.#onPointerMove],
+      ['pointerup', this.#onPointerUp], ['pointercancel', this.#onPointerUp]]) {
+      input.removeEventListener(type, handler)
+      if (this.#scrub) input.addEventListener(type, handler)
+    }
+  }
+
+  /**
+   * Step segment `index` by `direction` steps and write the result.
+   * `coalesce` merges the write into the previous undo step (one wheel burst
+   * or drag is undone at once).
+   * @param {number} index
+   * @param {number} direction
+   * @param {boolean} [coalesce=false]
+   */
+  #adjustSegment (index, direction, coalesce = false) {
+    const seg = this.segments[index]
+    if (!seg || this.#isLocked(seg) || this.#isReadOnly()) return
 
     // Action segments cannot be adjusted — unless they are selectable and have options
     // (in which case ↑/↓ cycles through the options list, changing the displayed icon/text).
@@ -439,20 +1147,40 @@ class SegmentedInput extends EventTarget {
       const idx = seg.options.indexOf(values[index])
       const newIdx = ((idx === -1 ? 0 : idx) + direction + seg.options.length) % seg.options.length
       values[index] = seg.options[newIdx]
-      this.input.value = this.#formatGuarded(values)
+      this.#writeValues(values, index, { change: true, coalesce, source: 'step' })
       this.focusSegment(index)
-      this.#dispatch('input')
-      this.#dispatch('change')
-      this.#updateValidity()
-      this.#emit('segmentchange', { index, value: values[index] })
       return
     }
 
     // Ensure the placeholder is shown before we start reading/writing the value.
     if (!this.input.value) this.input.value = this.#formattedPlaceholder
 
-    const radix = seg.radix ?? 10
     const values = this.#currentValues()
+    // With `overflow: 'carry'` neighbouring segments may change as well.
+    this.#stepValue(values, index, direction)
+    this.#writeValues(values, index, { change: true, coalesce, source: 'step' })
+    this.focusSegment(index)
+  }
+
+  /**
+   * Move `values[index]` by `delta` steps, applying the segment's `overflow`
+   * mode when the result leaves the `min`–`max` range:
+   * - `'clamp'` (default) stops at the bound;
+   * - `'wrap'` treats the range as a ring (59 → 00);
+   * - `'carry'` wraps and then moves the segment directly to the left by one
+   *   per lap, whatever that segment's own `step` (minutes stepping by 15 carry
+   *   single hours), which may carry again (seconds → minutes → hours).  A
+   *   locked parent is never skipped over: the value clamps instead.
+   * Mutates `values` in place.
+   * @param {string[]} values
+   * @param {number} index
+   * @param {number} delta - signed number of steps
+   * @param {boolean} [byUnit=false] - move by `delta` units instead of steps (a carry)
+   * @returns {boolean} whether the segment's numeric value moved
+   */
+  #stepValue (values, index, delta, byUnit = false) {
+    const seg = this.segments[index]
+    const radix = seg.radix ?? 10
     const step = seg.step ?? 1
 
     // Use parseFloat for base-10 (supports decimals), parseInt for other radixes
@@ -465,25 +1193,164 @@ class SegmentedInput extends EventTarget {
         : parseInt(String(seg.value ?? 0), radix) || 0
     }
 
-    let next = current + direction * step
+    const write = (num) => {
+      if (radix !== 10) {
+        values[index] = Math.round(num).toString(radix).toUpperCase()
+      } else {
+        // Preserve the number of decimal places implied by `step`
+        const decimals = (String(step).split('.')[1] || '').length
+        values[index] = decimals > 0 ? num.toFixed(decimals) : String(Math.round(num))
+      }
+    }
 
-    if (seg.max !== undefined && next > seg.max) next = seg.max
-    if (seg.min !== undefined && next < seg.min) next = seg.min
+    const next = current + delta * (byUnit ? 1 : step)
+    const { min, max } = this.#bounds(seg, values)
+    const clamped = Math.min(Math.max(next, min ?? -Infinity), max ?? Infinity)
+    const overflow = seg.overflow ?? 'clamp'
+    if (overflow === 'clamp' || min === undefined || max === undefined || clamped === next) {
+      write(clamped)
+      return clamped !== current
+    }
 
-    if (radix !== 10) {
-      values[index] = Math.round(next).toString(radix).toUpperCase()
-    } else {
-      // Preserve the number of decimal places implied by `step`
-      const decimals = (String(step).split('.')[1] || '').length
-      values[index] = decimals > 0 ? next.toFixed(decimals) : String(Math.round(next))
+    // Count in whole units so decimal steps (0–1 by 0.1 → 11 positions) don't drift.
+    const unit = this.#isDecimalSegment(seg) ? step : 1
+    const positions = Math.round((max - min) / unit) + 1
+    const pos = Math.round((next - min) / unit)
+    const laps = Math.floor(pos / positions)
+    write(min + (((pos % positions) + positions) % positions) * unit)
+
+    if (overflow === 'carry') {
+      const parent = index - 1
+      const parentSeg = this.segments[parent]
+      if (!parentSeg || parentSeg.type === 'text' || parentSeg.options || this.#isActionSegment(parentSeg)) return true
+      if (this.#isLocked(parentSeg) || !this.#stepValue(values, parent, laps, true)) {
+        // The parent is locked or pinned at its own bound (e.g. 0 hours): nothing to borrow from, so clamp.
+        write(clamped)
+        return clamped !== current
+      }
     }
+    return true
+  }
+
+  /**
+   * Single write path for user-driven changes: run each changed segment through
+   * its `transform` hook and the cancelable `beforesegmentchange` event, format
+   * the result into the input, sync validity, fire `input` (and `change` when
+   * asked), emit `segmentchange` for every segment whose value differs, and
+   * record an undo step.
+   * @param {string[]} values
+   * @param {number} index - segment the change was made in (focused again on undo/redo)
+   * @param {{change?: boolean, coalesce?: boolean, source?: string}} [opts]
+   *   `change` also dispatches `change`; `coalesce` merges this write into the
+   *   previous undo step (consecutive keystrokes into one segment); `source`
+   *   ('type', 'step', 'paste', 'pick', 'clear' or 'api') is reported to listeners.
+   * @returns {boolean} `false` when listeners vetoed every change, so nothing was written
+   */
+  #writeValues (values, index, { change = false, coalesce = false, source = 'api' } = {}) {
+    const before = this.#currentValues()
+    let vetoed = false
+    values = values.map((value, i) => {
+      // Items appended to a `repeat` list have no previous value to keep.
+      if (value === before[i] || i >= before.length) return value
+      const seg = this.segments[i]
+      const newValue = seg?.transform && value !== this.#placeholderValues[i] ? String(seg.transform(value)) : value
+      if (newValue === before[i]) return newValue
+      const detail = { index: i, oldValue: before[i], newValue, source }
+      if (this.#emit('beforesegmentchange', detail, true)) return newValue
+      vetoed = true
+      return before[i]
+    })
+    if (vetoed && values.every((value, i) => value === before[i])) return false
 
+    const previous = this.input.value
     this.input.value = this.#formatGuarded(values)
-    this.focusSegment(index)
+    const swapped = this.#syncSegments()
+    this.#recordHistory(previous, index, coalesce)
+    // Validity first so `input` / `change` listeners see the up-to-date state.
+    this.#updateValidity()
+    this.#updateAria()
     this.#dispatch('input')
-    this.#dispatch('change')
+    if (change) this.#dispatch('change')
+    values.forEach((value, i) => {
+      if (value !== before[i]) this.#emit('segmentchange', { index: i, value })
+    })
+    if (swapped) this.#onSegmentsChange?.(this, swapped)
+    return true
+  }
+
+  /**
+   * Push the current input value onto the undo stack.
+   * `previous` is the value before the write; it becomes the base entry when
+   * the stack is empty or the value was changed from outside (e.g. a direct
+   * `input.value = …` assignment) since the last recorded step.
+   * Any redo steps beyond the current position are discarded.  A write that
+   * left the value as it was (↑ at a clamped max) records nothing.
+   * @param {string} previous
+   * @param {number} index
+   * @param {boolean} coalesce
+   */
+  #recordHistory (previous, index, coalesce) {
+    if (this.input.value === previous) return
+    const top = this.#history[this.#historyIndex]
+    this.#history.length = this.#historyIndex + 1
+    if (!top || top.value !== previous) {
+      this.#history.push({ value: previous, index })
+      coalesce = false
+    }
+    const entry = { value: this.input.value, index }
+    if (coalesce && this.#history.length > 1 && this.#history[this.#history.length - 1].index === index) {
+      this.#history[this.#history.length - 1] = entry
+    } else {
+      this.#history.push(entry)
+    }
+    if (this.#history.length > HISTORY_LIMIT) this.#history.shift()
+    this.#historyIndex = this.#history.length - 1
+  }
+
+  /**
+   * Put a snapshot from the undo stack back into the input and focus `index`.
+   * An empty snapshot shows the placeholder segments while the input has focus.
+   * @param {string} value
+   * @param {number} index
+   */
+  #restoreSnapshot (value, index) {
+    const before = this.#currentValues()
+    const focused = this.input.ownerDocument?.activeElement === this.input
+    this.input.value = value || (focused ? this.#formattedPlaceholder : '')
+    // A snapshot taken while the `blurFormat` text was showing is expanded again.
+    if (value && focused) this.input.value = this.#formatGuarded(this.#parse(this.#stripZWS(value)))
+    const swapped = this.#syncSegments()
+    this.#segmentBuffer = ''
     this.#updateValidity()
-    this.#emit('segmentchange', { index, value: values[index] })
+    this.#updateAria()
+    this.#dispatch('input')
+    this.#dispatch('change')
+    this.#currentValues().forEach((v, i) => {
+      if (v !== before[i]) this.#emit('segmentchange', { index: i, value: v })
+    })
+    if (swapped) this.#onSegmentsChange?.(this, swapped)
+    if (this.input.value) this.focusSegment(index)
+  }
+
+  /**
+   * Write the segment values produced by the preset's `from*` conversion and
+   * fire `input` / `change`.  `null`, `NaN` or an Invalid Date empty the field instead.
+   * @param {'fromDate' | 'fromNumber' | 'fromObject'} name
+   * @param {string} property - accessor name, for the error message
+   * @param {*} value
+   */
+  #setConverted (name, property, value) {
+    const from = this.#convert[name]
+    if (!from) throw new TypeError(`SegmentedInput: ${property} is not supported by this format`)
+    // valueOf() also catches an Invalid Date.
+    if (value == null || Number.isNaN(value.valueOf())) {
+      const previous = this.input.value
+      this.#restoreSnapshot('', this.#activeSegment)
+      this.#recordHistory(previous, this.#activeSegment, false)
+      return
+    }
+    this.#segmentBuffer = ''
+    this.#writeValues(from(value).map(String), this.#activeSegment, { change: true, source: 'api' })
   }
 
   #dispatch (type) {
@@ -495,9 +1362,11 @@ class SegmentedInput extends EventTarget {
    * Listeners can be added via `instance.addEventListener(type, handler)`.
    * @param {string} type
    * @param {object} detail
+   * @param {boolean} [cancelable=false]
+   * @returns {boolean} `false` when a listener called `preventDefault()`
    */
-  #emit (type, detail) {
-    this.dispatchEvent(new CustomEvent(type, { detail }))
+  #emit (type, detail, cancelable = false) {
+    return this.dispatchEvent(new CustomEvent(type, { detail, cancelable }))
   }
 
   // ---------------------------------------------------------------------------
@@ -509,26 +1378,54 @@ class SegmentedInput extends EventTarget {
    *  recover the intended click target via canvas character-width estimation. */
   #captureMouseX (event) {
     this.#pendingClickX = event.clientX
+    this.#measure = null
   }
 
   /**
-   * Estimate which character index in the input corresponds to a given clientX.
-   * Uses canvas measureText so it works with any font and handles emoji / multi-
-   * code-unit characters correctly for typical input fonts.
+   * A 2D canvas context set to the input's font, plus its left padding, for
+   * measuring where characters of the value are drawn.  Cached, so hovering
+   * with `scrub` does not read the computed style on every move; a press or
+   * focus re-reads it.
+   * @returns {{ctx: CanvasRenderingContext2D, padding: number}}
+   */
+  #textMeasure () {
+    if (this.#measure) return this.#measure
+    const ctx = document.createElement('canvas').getContext('2d')
+    const style = getComputedStyle(this.input)
+    ctx.font = [style.fontStyle, style.fontWeight, style.fontSize, style.fontFamily]
+      .filter(Boolean).join(' ')
+    this.#measure = { ctx, padding: parseFloat(style.paddingLeft) || 0 }
+    return this.#measure
+  }
+
+  /**
+   * Horizontal offset (px) of character index `pos` from the input's left edge;
+   * the inverse of #charPosFromX.  Falls back to 0 on any error.
+   * @param {number} pos
+   * @returns {number}
+   */
+  #xFromCharPos (pos) {
+    try {
+      const { ctx, padding } = this.#textMeasure()
+      return padding + ctx.measureText(this.input.value.slice(0, pos)).width - this.input.scrollLeft
+    } catch (_) {
+      return 0
+    }
+  }
+
+  /**
+   * Estimate which character index in the input corresponds to a given clientX.
+   * Uses canvas measureText so it works with any font and handles emoji / multi-
+   * code-unit characters correctly for typical input fonts.
    * Falls back to selectionStart on any error (e.g. no 2D canvas support).
    * @param {number} clientX
    * @returns {number}
    */
   #charPosFromX (clientX) {
     try {
-      const canvas = document.createElement('canvas')
-      const ctx = canvas.getContext('2d')
-      const style = getComputedStyle(this.input)
-      ctx.font = [style.fontStyle, style.fontWeight, style.fontSize, style.fontFamily]
-        .filter(Boolean).join(' ')
+      const { ctx, padding } = this.#textMeasure()
       const text = this.input.value || this.#formattedPlaceholder
       const rect = this.input.getBoundingClientRect()
-      const padding = parseFloat(style.paddingLeft) || 0
       const x = clientX - rect.left - padding
 
       // Binary search: smallest i where measureText(text[0..i]) >= x
@@ -544,12 +1441,100 @@ class SegmentedInput extends EventTarget {
     }
   }
 
+  /**
+   * Index of the segment under `clientX` when ↑/↓ could step it (numeric or
+   * enum segment), else null.  Shared by wheel and drag scrubbing.
+   * @param {number} clientX
+   * @returns {number|null}
+   */
+  #steppableSegmentAt (clientX) {
+    const index = getCursorSegment(this.#charPosFromX(clientX), this.getSegmentRanges())
+    const seg = this.segments[index]
+    if (!seg || seg.type === 'text') return null
+    if (this.#isActionSegment(seg) && !(seg.selectable && seg.options)) return null
+    return index
+  }
+
+  /**
+   * Step the segment under the pointer.  Only while the input has focus, so
+   * scrolling the page past an unfocused field is never hijacked.
+   * @param {WheelEvent} event
+   */
+  #onWheelEvent (event) {
+    if (this.input.ownerDocument?.activeElement !== this.input) return
+    const index = this.#steppableSegmentAt(event.clientX)
+    if (index === null) return
+    event.preventDefault()
+
+    // Shift+wheel is reported as horizontal scrolling by some platforms.
+    const delta = event.deltaY || event.deltaX
+    this.#wheelDelta = event.deltaMode === 0 ? this.#wheelDelta + delta : delta * WHEEL_THRESHOLD
+    if (Math.abs(this.#wheelDelta) < WHEEL_THRESHOLD) return
+    const steps = event.shiftKey ? this.#largeSteps(this.segments[index]) : 1
+    const last = this.#lastWheel
+    const coalesce = last?.index === index && event.timeStamp - last.time < WHEEL_BURST_MS
+    // Scrolling up (negative delta) increments, like a spin button.
+    this.#adjustSegment(index, this.#wheelDelta < 0 ? steps : -steps, coalesce)
+    this.#wheelDelta = 0
+    this.#lastWheel = { index, time: event.timeStamp }
+  }
+
+  /** Remember where a primary-button press landed; it becomes a scrub once it moves. */
+  #onScrubStart (event) {
+    if (event.button !== 0) return
+    this.#measure = null
+    const index = this.#steppableSegmentAt(event.clientX)
+    if (index === null) return
+    this.#scrubState = { pointerId: event.pointerId, index, startX: event.clientX, applied: 0, active: false, stepped: false }
+  }
+
+  /**
+   * While pressed: step the segment by one per SCRUB_PIXELS of horizontal
+   * travel (right increments).  While hovering: show a resize cursor over
+   * segments that can be scrubbed.
+   * @param {PointerEvent} event
+   */
+  #onScrubMove (event) {
+    const state = this.#scrubState
+    if (!state || state.pointerId !== event.pointerId) {
+      if (event.buttons === 0) {
+        this.input.style.cursor = this.#steppableSegmentAt(event.clientX) === null ? '' : 'ew-resize'
+      }
+      return
+    }
+    const dx = event.clientX - state.startX
+    if (!state.active) {
+      if (Math.abs(dx) < SCRUB_PIXELS) return
+      // A real drag: keep receiving moves outside the input, and stop the
+      // browser from extending a text selection.
+      state.active = true
+      this.input.setPointerCapture?.(event.pointerId)
+    }
+    event.preventDefault()
+    const steps = Math.trunc(dx / SCRUB_PIXELS)
+    if (steps === state.applied) return
+    const scale = event.shiftKey ? this.#largeSteps(this.segments[state.index]) : 1
+    // The whole drag is one undo step.
+    this.#adjustSegment(state.index, (steps - state.applied) * scale, state.stepped)
+    state.applied = steps
+    state.stepped = true
+  }
+
+  #onScrubEnd (event) {
+    if (this.#scrubState?.pointerId !== event.pointerId) return
+    if (this.#scrubState.active) this.input.releasePointerCapture?.(event.pointerId)
+    this.#scrubState = null
+  }
+
   #onFocusIn () {
+    this.#measure = null
     // When the input has no value, fill in the formatted placeholder so the segments
     // are visible while the field is focused.  We do this synchronously (before the
     // setTimeout) so that the click handler that fires right after can read the value.
+    let swapped
     if (!this.input.value) {
       this.input.value = this.#formattedPlaceholder
+      swapped = this.#syncSegments()
       // Set this flag so #onClickOrFocus knows the value was just set from empty;
       // after the programmatic value change selectionStart is reset to 0, so we
       // use #pendingClickX (captured at mousedown) to recover the intended target.
@@ -562,9 +1547,16 @@ class SegmentedInput extends EventTarget {
     } else {
       // Normalize to the canonical ZWS-guarded format in case the value was set
       // externally (e.g. directly via input.value = "2024-01-15 📅") without ZWS guards.
+      // This also expands a `blurFormat` display; the caret the browser placed in
+      // that text is meaningless now, so the click is resolved from #pendingClickX.
       const normalized = this.#formatGuarded(this.#parse(this.#stripZWS(this.input.value)))
-      if (this.input.value !== normalized) this.input.value = normalized
+      if (this.input.value !== normalized) {
+        this.input.value = normalized
+        if (this.#blurFormat) this.#placeholderJustSet = true
+      }
+      swapped = this.#syncSegments()
     }
+    if (swapped) this.#onSegmentsChange?.(this, swapped)
     // Defer the actual selection so the browser has finished placing its own cursor.
     setTimeout(() => {
       this.#placeholderJustSet = false
@@ -573,11 +1565,19 @@ class SegmentedInput extends EventTarget {
   }
 
   #onBlurOut () {
+    this.#listbox?.hide()
     // Remove the action class and notify listeners that the current segment is losing focus.
     this.input.classList.remove(this.#actionClass)
     if (this.segments.length > 0) {
       this.#emit('segmentblur', { index: this.#activeSegment, segment: this.segments[this.#activeSegment] })
     }
+    // Drop empty items left at the end of a `repeat` list (e.g. after typing
+    // the separator), down to `min`.
+    if (this.#repeat && this.input.value) {
+      const values = this.#currentValues()
+      while (values.length > this.#repeat.min && values.at(-1) === this.#placeholderValues[0]) values.pop()
+      if (values.length < this.segments.length) this.#writeValues(values, values.length - 1, { change: true, source: 'clear' })
+    }
     // If the user left the field without entering any real data (all segments still
     // show their placeholder text), clear the value so the HTML placeholder attribute
     // is shown again and constraint validation (e.g. required) fails correctly.
@@ -586,12 +1586,17 @@ class SegmentedInput extends EventTarget {
       this.#activeSegment = 0
       this.#segmentBuffer = ''
     }
+    this.#showBlurFormat()
     // Keep custom validity in sync regardless (covers the partial-placeholder case
     // like "hh:30:10" where the empty-value case is already handled by required).
     this.#updateValidity()
   }
 
   #onClickOrFocus (event) {
+    // A click on the segment whose list is open closes it; elsewhere it reopens below.
+    const listboxWasOpen = this.#listbox?.open ? this.#listboxIndex : null
+    this.#listbox?.hide()
+
     if (this.#placeholderJustSet) {
       this.#placeholderJustSet = false
 
@@ -617,7 +1622,7 @@ class SegmentedInput extends EventTarget {
             clickedSeg.onClick(this, this.#getActionOption(clickedSeg, targetIndex))
           }
         } else {
-          const prev = this.#findEditable(targetIndex - 1, -1)
+          const prev = this.#findFocusable(targetIndex - 1, -1)
           if (prev !== null) this.#activeSegment = prev
         }
         // The setTimeout queued by #onFocusIn will call focusSegment(#activeSegment).
@@ -628,6 +1633,7 @@ class SegmentedInput extends EventTarget {
       // focuses the segment the user actually clicked on (not always the first one).
       this.#activeSegment = targetIndex
       this.#segmentBuffer = ''
+      if (this.#listboxClass) setTimeout(() => this.#openListbox(targetIndex), 0)
       return
     }
 
@@ -649,8 +1655,8 @@ class SegmentedInput extends EventTarget {
           clickedSeg.onClick(this, this.#getActionOption(clickedSeg, index))
         }
       } else {
-        const prev = this.#findEditable(index - 1, -1)
-        const fallback = prev ?? this.#findEditable(0, +1)
+        const prev = this.#findFocusable(index - 1, -1)
+        const fallback = prev ?? this.#findFocusable(0, +1)
         if (fallback !== null) {
           this.#activeSegment = fallback
           setTimeout(() => highlightSegment(this.input, fallback, this.getSegmentRanges()), 0)
@@ -664,34 +1670,85 @@ class SegmentedInput extends EventTarget {
     // Use setTimeout to override any native selection that the browser
     // applies after the click event fires.
     setTimeout(() => highlightSegment(this.input, index, ranges), 0)
+    if (this.#listboxClass && listboxWasOpen !== index) setTimeout(() => this.#openListbox(index), 0)
   }
 
   #onKeydown (event) {
+    // Virtual keyboards (Android Chrome/Gboard) and IMEs report key "Unidentified"
+    // (keyCode 229) and then mutate the value directly; those edits are routed
+    // through #onBeforeInputEvent / #onNativeInput instead.
+    if (event.isComposing || event.keyCode === 229) return
+
+    // The popup list of an options segment takes the keys it knows while open.
+    if (this.#listbox?.open && this.#listbox.keydown(event)) return
+
+    // Undo / redo: the native stack is useless because every change rewrites input.value.
+    if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+      const key = event.key.toLowerCase()
+      if (key === 'z' || key === 'y') {
+        event.preventDefault()
+        if (this.#isReadOnly()) return
+        if (key === 'y' || event.shiftKey) this.redo()
+        else this.undo()
+        return
+      }
+      // Select all: the selection then spans every segment, so Backspace /
+      // Delete clear them all and copy takes the whole value.
+      if (key === 'a') {
+        event.preventDefault()
+        this.#segmentBuffer = ''
+        this.input.setSelectionRange(0, this.input.value.length)
+        return
+      }
+    }
+
     // Intercept ALL printable characters: handle them ourselves so the segment
     // always stays highlighted and we control overflow / auto-advance behavior.
     if (event.key.length === 1 && !event.ctrlKey && !event.metaKey) {
       event.preventDefault()
-      this.#handleSegmentInput(event.key)
+      if (!this.#isReadOnly()) this.#handleSegmentInput(event.key)
       return
     }
 
     switch (event.key) {
       case 'Backspace':
         event.preventDefault()
-        // Reset the whole active segment to its placeholder value (matching the behavior
-        // of Chrome's <input type="date"> where Backspace clears the focused segment).
-        {
-          const placeholder = this.#placeholderValues[this.#activeSegment]
-          this.#segmentBuffer = ''
-          const values = this.#currentValues()
-          values[this.#activeSegment] = placeholder
-          this.input.value = this.#formatGuarded(values)
-          this.#dispatch('input')
-          this.#updateValidity()
-          this.#emit('segmentchange', { index: this.#activeSegment, value: placeholder })
-          highlightSegment(this.input, this.#activeSegment, this.getSegmentRanges())
+        if (this.#isReadOnly()) break
+        if (this.#selectionSpansSegments()) this.#clearAllSegments()
+        else if (!this.#removeListItem()) this.#clearSegment(this.#activeSegment)
+        break
+
+      case 'Delete': {
+        // Like native date inputs: clear, then move on to the next segment.
+        event.preventDefault()
+        if (this.#isReadOnly()) break
+        if (this.#selectionSpansSegments()) {
+          this.#clearAllSegments()
+          break
         }
+        this.#clearSegment(this.#activeSegment)
+        const next = this.#findNavigable(this.#activeSegment + 1, +1)
+        if (next !== null) this.focusSegment(next)
         break
+      }
+
+      case 'Home':
+      case 'End': {
+        event.preventDefault()
+        const target = event.key === 'Home'
+          ? this.#findNavigable(0, +1)
+          : this.#findNavigable(this.segments.length - 1, -1)
+        if (target !== null) this.focusSegment(target)
+        break
+      }
+
+      case 'PageUp':
+      case 'PageDown': {
+        event.preventDefault()
+        const steps = this.#largeSteps(this.segments[this.#activeSegment])
+        this.#adjustSegment(this.#activeSegment, event.key === 'PageUp' ? steps : -steps, event.repeat)
+        break
+      }
 
       case 'Enter': {
         // Fire onClick on a selectable action segment when Enter is pressed.
@@ -719,14 +1776,16 @@ class SegmentedInput extends EventTarget {
       }
 
       case 'ArrowUp':
+      case 'ArrowDown': {
         event.preventDefault()
-        this.increment()
-        break
-
-      case 'ArrowDown':
-        event.preventDefault()
-        this.decrement()
+        // Alt+↓ / Alt+↑ open the popup list, like on a native <select>.
+        if (event.altKey && this.#openListbox(this.#activeSegment)) break
+        this.#heldRepeats = event.repeat ? this.#heldRepeats + 1 : 0
+        const steps = this.#acceleratedSteps(this.segments[this.#activeSegment])
+        // A held key's auto-repeats join the undo step of its first press.
+        this.#adjustSegment(this.#activeSegment, event.key === 'ArrowUp' ? steps : -steps, event.repeat)
         break
+      }
 
       case 'Tab':
         if (event.shiftKey) {
@@ -751,6 +1810,401 @@ class SegmentedInput extends EventTarget {
     }
   }
 
+  /**
+   * `beforeinput` fires for every edit the browser is about to make, including the
+   * ones virtual keyboards send without a usable `keydown`.  When the event is
+   * cancelable we take over: inserted text is routed through #handleSegmentInput
+   * one character at a time and deletions clear the active segment.  Composition
+   * events cannot be cancelled, so the pre-edit value is remembered for
+   * #onNativeInput to restore.
+   * @param {InputEvent} event
+   */
+  #onBeforeInputEvent (event) {
+    const { inputType } = event
+    this.#valueBeforeInput = this.input.value
+    if (!event.cancelable) return
+    if (this.#isReadOnly()) {
+      event.preventDefault()
+      return
+    }
+
+    if (inputType.startsWith('insert')) {
+      event.preventDefault()
+      this.#valueBeforeInput = null
+      const text = event.data ?? event.dataTransfer?.getData('text/plain') ?? ''
+      for (const char of text) this.#handleSegmentInput(char)
+    } else if (inputType.startsWith('delete')) {
+      event.preventDefault()
+      this.#valueBeforeInput = null
+      if (this.#selectionSpansSegments()) this.#clearAllSegments()
+      else if (inputType !== 'deleteContentBackward' || !this.#removeListItem()) this.#clearSegment(this.#activeSegment)
+    } else {
+      // Anything else (e.g. formatBold) would corrupt the formatted string.
+      // Undo/redo from the Edit menu or a mobile keyboard uses our own history.
+      event.preventDefault()
+      this.#valueBeforeInput = null
+      if (inputType === 'historyUndo') this.undo()
+      else if (inputType === 'historyRedo') this.redo()
+    }
+  }
+
+  /**
+   * Fallback for edits `beforeinput` could not cancel: derive the inserted text
+   * by diffing the mutated value against the value captured in #onBeforeInputEvent,
+   * restore the formatted string, and replay the text as if it had been typed.
+   * Our own synthetic `input` events (see #dispatch) have no `inputType` and are ignored.
+   * @param {InputEvent} event
+   */
+  #onNativeInput (event) {
+    const before = this.#valueBeforeInput
+    this.#valueBeforeInput = null
+    if (!event.inputType || before === null) return
+
+    const after = this.input.value
+    if (after === before) return
+
+    // Strip the common prefix and suffix; what is left in `after` was inserted.
+    let head = 0
+    while (head < before.length && head < after.length && before[head] === after[head]) head++
+    let tail = 0
+    while (
+      tail < before.length - head &&
+      tail < after.length - head &&
+      before[before.length - 1 - tail] === after[after.length - 1 - tail]
+    ) tail++
+    const inserted = after.slice(head, after.length - tail)
+
+    this.input.value = before
+    if (event.inputType.startsWith('delete')) {
+      this.#clearSegment(this.#activeSegment)
+    } else if (inserted) {
+      for (const char of inserted) this.#handleSegmentInput(char)
+    } else {
+      highlightSegment(this.input, this.#activeSegment, this.getSegmentRanges())
+    }
+  }
+
+  /**
+   * Distribute clipboard text across the segments.
+   *
+   * A cancelable `segmentpaste` event is emitted first with `{ text, index }`;
+   * listeners may `preventDefault()` to reject the paste or assign
+   * `event.detail.text` to rewrite it.  The (possibly rewritten) text is then
+   * applied by #pasteText.  The browser's default paste is always suppressed
+   * because it would corrupt the formatted string.
+   * @param {ClipboardEvent} event
+   */
+  #onPasteEvent (event) {
+    event.preventDefault()
+    if (this.#isReadOnly()) return
+    const detail = {
+      text: event.clipboardData?.getData('text/plain') ?? '',
+      index: this.#activeSegment,
+    }
+    if (!this.#emit('segmentpaste', detail, true)) return
+    this.#pasteText(String(detail.text ?? ''))
+  }
+
+  /**
+   * Apply pasted text.  When the text is a complete value (running it through
+   * `parse` and `format` gives the same string back, ignoring case and whitespace)
+   * every segment is replaced.  Otherwise the text is treated as a fragment and
+   * consumed from the active segment forward, with separator characters and
+   * full segments advancing to the next one — the same rules as typing.
+   * Nothing is written when any resulting part fails its segment's
+   * `pattern` / `min` / `max` / `options` constraints.
+   * @param {string} text
+   */
+  #pasteText (text) {
+    text = this.#stripZWS(text).trim()
+    if (!text) return
+    if (this.#normalizePaste) text = String(this.#normalizePaste(text) ?? text)
+
+    if (!this.input.value) this.input.value = this.#formattedPlaceholder
+    const before = this.#currentValues()
+
+    let values = this.#parse(text)
+    let focusIndex = this.#findEditable(this.segments.length - 1, -1)
+    // A complete value is checked against the layout it brings along (a pasted
+    // Amex number has 4-6-5 groups, not the current 4×4).
+    let segments = this.segments
+    if (!this.#isCompleteValue(text, values)) {
+      const result = this.#distributeText(text, this.#activeSegment, before)
+      if (!result) return
+      values = result.values
+      focusIndex = result.nextIndex
+    } else if (this.#segmentsFor) {
+      segments = this.#segmentsFor(values) ?? segments
+    }
+    // A `repeat` list takes as many items as were pasted, each checked like the others.
+    if (this.#repeat) segments = values.map(() => this.#repeat.segment)
+
+    for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i]
+      if ((this.#isActionSegment(seg) && !seg.options) || this.#isLocked(seg)) {
+        // Action icons and locked values are owned by the instance, never by the clipboard.
+        values[i] = before[i]
+        continue
+      }
+      if (values[i] === before[i]) continue
+      if (seg.options) {
+        const match = seg.options.find(o => o.toLowerCase() === String(values[i]).toLowerCase())
+        if (match === undefined) return
+        values[i] = match
+      } else if (!this.#isValidSegmentValue(seg, String(values[i]), values)) {
+        return
+      }
+    }
+
+    this.#writeValues(values, this.#activeSegment, { change: true, source: 'paste' })
+    this.focusSegment(focusIndex ?? this.#activeSegment)
+  }
+
+  /**
+   * Put the text selected by `copyMode` on the clipboard instead of the raw
+   * selection, which may contain ZWS guards or placeholder text.
+   * @param {ClipboardEvent} event
+   */
+  #onCopyEvent (event) {
+    if (!this.input.value) return
+    event.preventDefault()
+    event.clipboardData?.setData('text/plain', this.#clipboardText())
+  }
+
+  /**
+   * Copy like #onCopyEvent, then reset what was copied back to its placeholder:
+   * the active segment in `'segment'` mode, every segment in `'value'` mode
+   * (or when the whole value was selected).
+   * @param {ClipboardEvent} event
+   */
+  #onCutEvent (event) {
+    if (!this.input.value) return
+    event.preventDefault()
+    event.clipboardData?.setData('text/plain', this.#clipboardText())
+    // A read-only input cuts like it copies.
+    if (this.#isReadOnly()) return
+    if (this.#copyMode === 'value' || this.#selectionSpansSegments()) {
+      this.#clearAllSegments()
+    } else {
+      this.#clearSegment(this.#activeSegment)
+    }
+  }
+
+  /**
+   * Text to place on the clipboard for copy/cut according to `copyMode`.
+   * A placeholder-only segment copies as an empty string.
+   * @returns {string}
+   */
+  #clipboardText () {
+    if (typeof this.#copyMode === 'function') return String(this.#copyMode(this) ?? '')
+    if (this.#copyMode === 'value' || this.#selectionSpansSegments()) return this.value
+    const index = this.#activeSegment
+    const value = this.getSegmentValue(index)
+    return value === this.#placeholderValues[index] ? '' : value
+  }
+
+  /**
+   * Returns true when the current text selection reaches beyond the active
+   * segment's range (e.g. the user pressed Ctrl+A).
+   * @returns {boolean}
+   */
+  #selectionSpansSegments () {
+    const range = this.getSegmentRanges()[this.#activeSegment]
+    if (!range) return false
+    return this.input.selectionStart < range.start || this.input.selectionEnd > range.end
+  }
+
+  /**
+   * Reset every segment to its placeholder value, emitting `segmentchange`
+   * for each segment that actually changed.
+   */
+  #clearAllSegments () {
+    this.#segmentBuffer = ''
+    // Locked segments keep their current value.
+    const current = this.#currentValues()
+    const values = this.#parse(this.#stripZWS(this.#formattedPlaceholder))
+      .map((value, i) => this.#isLocked(this.segments[i]) ? current[i] : value)
+    this.#writeValues(values, this.#activeSegment, { source: 'clear' })
+    highlightSegment(this.input, this.#activeSegment, this.getSegmentRanges())
+  }
+
+  /**
+   * Returns true when `text` is a full display value rather than a fragment.
+   * Action segment text is ignored on both sides so that e.g. "2024-01-15"
+   * counts as complete for a preset that renders "2024-01-15 ⏱︎".
+   * @param {string} text
+   * @param {string[]} values - `parse(text)`
+   * @returns {boolean}
+   */
+  #isCompleteValue (text, values) {
+    let formatted = this.#format(values)
+    this.segments.forEach((seg, i) => {
+      if (this.#isActionSegment(seg) && !seg.options) formatted = formatted.replace(values[i], '')
+    })
+    const normalize = str => str.replace(/\s+/g, '').toLowerCase()
+    return normalize(formatted) === normalize(text)
+  }
+
+  /**
+   * Consume a fragment of text from segment `fromIndex` onward.
+   * Characters that fail the segment's `pattern` or appear in the format's
+   * literal separators commit the current part and move to the next editable
+   * segment; a part that reaches its maximum length does the same.
+   * @param {string} text
+   * @param {number} fromIndex
+   * @param {string[]} values - current segment values (copied, not mutated)
+   * @returns {{values: string[], nextIndex: number|null}|null} `null` when nothing could be placed
+   */
+  #distributeText (text, fromIndex, values) {
+    values = [...values]
+    const separators = this.#separatorChars()
+    const start = this.segments[fromIndex]
+    let index = start?.options && !this.#isLocked(start) ? fromIndex : this.#findEditable(fromIndex, +1)
+    let buffer = ''
+    let filled = false
+
+    const commit = () => {
+      if (!buffer) return
+      values[index] = buffer
+      buffer = ''
+      filled = true
+      index = this.#findEditable(index + 1, +1)
+    }
+
+    for (const char of text) {
+      if (index === null) break
+      const seg = this.segments[index]
+
+      if (seg.options) {
+        const candidate = (buffer + char).toLowerCase()
+        if (seg.options.some(o => o.toLowerCase().startsWith(candidate))) {
+          buffer += char
+          if (!seg.options.some(o => o.toLowerCase().startsWith(candidate) && o.length > candidate.length)) commit()
+        } else if (buffer) {
+          commit()
+        }
+        continue
+      }
+
+      const isSeparator = separators.has(char) || /\s/.test(char) || (seg.pattern && !seg.pattern.test(char))
+      if (isSeparator) {
+        commit()
+        continue
+      }
+
+      const radix = seg.radix ?? 10
+      const { max } = this.#bounds(seg, values)
+      if (buffer && max !== undefined && !this.#isDecimalSegment(seg) && parseInt(buffer + char, radix) > max) {
+        // Same overflow rule as typing: the buffered part is complete, start the next one.
+        commit()
+        if (index === null) break
+      }
+      buffer += char
+      const current = this.segments[index]
+      if (this.#shouldAutoAdvance(current, buffer, current.radix ?? 10, this.#bounds(current, values).max)) commit()
+    }
+    if (index !== null) commit()
+
+    return filled ? { values, nextIndex: index ?? this.#findEditable(this.segments.length - 1, -1) } : null
+  }
+
+  /**
+   * The set of literal characters `format` places between segments
+   * (e.g. '.', ':', '(', ',' and ' ' for rgba), derived from the placeholder string.
+   * @returns {Set<string>}
+   */
+  #separatorChars () {
+    const formatted = this.#format(this.#placeholderValues)
+    const ranges = getSegmentRanges(formatted, this.#parse, this.#format)
+    const chars = new Set()
+    let pos = 0
+    for (const { start, end } of [...ranges, { start: formatted.length, end: formatted.length }]) {
+      for (const char of formatted.slice(pos, start)) chars.add(char)
+      pos = Math.max(pos, end)
+    }
+    return chars
+  }
+
+  /**
+   * Returns true when a whole segment value satisfies the segment's `pattern`
+   * (tested per character) and, for numeric segments, its `min` / `max` range.
+   * @param {Segment} seg
+   * @param {string} value
+   * @param {string[]} values - all segment values, for function-valued bounds
+   * @returns {boolean}
+   */
+  #isValidSegmentValue (seg, value, values) {
+    if (seg.options) return seg.options.includes(value)
+    if (!value) return false
+    if (seg.pattern && ![...value].every(char => seg.pattern.test(char))) return false
+    const { min, max } = this.#bounds(seg, values)
+    if (seg.type === 'text' || (min === undefined && max === undefined)) return true
+    const radix = seg.radix ?? 10
+    const num = radix === 10 ? Number(value) : parseInt(value, radix)
+    if (isNaN(num)) return false
+    if (min !== undefined && num < min) return false
+    if (max !== undefined && num > max) return false
+    return true
+  }
+
+  /**
+   * Number of `step`s PageUp/PageDown move a segment: `largeStep / step`,
+   * `radix` by default (ten, or 16 in hex).  Enum segments move one option at a time.
+   * @param {Segment} seg
+   * @returns {number}
+   */
+  #largeSteps (seg) {
+    if (!seg || seg.options) return 1
+    const step = seg.step ?? 1
+    return (seg.largeStep ?? step * (seg.radix ?? 10)) / step
+  }
+
+  /**
+   * Steps for the current ↑/↓ press according to the segment's `acceleration`
+   * curve and how long the key has been held.
+   * @param {Segment} seg
+   * @returns {number}
+   */
+  #acceleratedSteps (seg) {
+    if (!seg || seg.options) return 1
+    const curve = seg.acceleration === true ? DEFAULT_ACCELERATION : seg.acceleration
+    if (!curve) return 1
+    let steps = 1
+    for (const { after, steps: n } of curve) {
+      if (this.#heldRepeats >= after) steps = n
+    }
+    return steps
+  }
+
+  /**
+   * Resolve a segment's `min` / `max`, calling them with `values` when they are
+   * functions (cross-segment constraints such as days per month).
+   * @param {Segment} seg
+   * @param {string[]} values
+   * @returns {{min: number|undefined, max: number|undefined}}
+   */
+  #bounds (seg, values) {
+    return {
+      min: typeof seg.min === 'function' ? seg.min(values) : seg.min,
+      max: typeof seg.max === 'function' ? seg.max(values) : seg.max,
+    }
+  }
+
+  /**
+   * Reset a segment to its placeholder value (matching the behavior of Chrome's
+   * `<input type="date">` where Backspace clears the focused segment).
+   * @param {number} index
+   */
+  #clearSegment (index) {
+    if (this.#isLocked(this.segments[index])) return
+    const placeholder = this.#placeholderValues[index]
+    this.#segmentBuffer = ''
+    const values = this.#currentValues()
+    values[index] = placeholder
+    this.#writeValues(values, index, { source: 'clear' })
+    highlightSegment(this.input, index, this.getSegmentRanges())
+  }
+
   /**
    * Handle a single printable character typed by the user.
    * Accumulates characters in the segment buffer, updates the input value,
@@ -760,7 +2214,7 @@ class SegmentedInput extends EventTarget {
    */
   #handleSegmentInput (key) {
     const seg = this.segments[this.#activeSegment]
-    if (!seg || (this.#isActionSegment(seg) && !(seg.selectable && seg.options))) return
+    if (!seg || this.#isLocked(seg) || (this.#isActionSegment(seg) && !(seg.selectable && seg.options))) return
 
     // Ensure the placeholder is shown before we start reading/writing the value.
     if (!this.input.value) this.input.value = this.#formattedPlaceholder
@@ -777,48 +2231,54 @@ class SegmentedInput extends EventTarget {
       if (match) {
         const values = this.#currentValues()
         values[this.#activeSegment] = match
-        this.input.value = this.#formatGuarded(values)
-        this.#dispatch('input')
-        this.#updateValidity()
-        this.#emit('segmentchange', { index: this.#activeSegment, value: match })
+        const written = this.#writeValues(values, this.#activeSegment, { source: 'type' })
         highlightSegment(this.input, this.#activeSegment, this.getSegmentRanges())
-        this.#advanceSegment()
+        if (written) this.#advanceSegment()
       }
       return
     }
 
-    // Reject characters that don't match the segment's allowed pattern
-    if (seg.pattern && !seg.pattern.test(key)) return
+    // A separator character (the '.' in an IP, ':' in a time…) that the segment
+    // cannot hold commits what has been typed so far and moves on, so "1.2.3.4"
+    // can be typed without leading zeros.  With nothing typed yet it is ignored,
+    // which also swallows the '.' typed right after an auto-advance.
+    if (seg.pattern && !seg.pattern.test(key)) {
+      // In a `repeat` list the separator on the last item appends a new one.
+      const listSeparator = this.#repeat && (this.#repeat.separator.trim() || this.#repeat.separator)[0]
+      if (key === listSeparator && this.#appendListItem()) return
+      if (this.#segmentBuffer && (key === listSeparator || this.#separatorChars().has(key))) this.#advanceSegment()
+      return
+    }
 
     const radix = seg.radix ?? 10
     const newBuffer = this.#segmentBuffer + key
+    const { max } = this.#bounds(seg, this.#currentValues())
 
     // For numeric segments with a max, reject a digit that would make the
     // value exceed the maximum; commit whatever is already buffered and advance.
-    if (seg.max !== undefined && !this.#isDecimalSegment(seg)) {
+    if (max !== undefined && !this.#isDecimalSegment(seg)) {
       const numVal = parseInt(newBuffer, radix)
-      if (numVal > seg.max) {
+      if (numVal > max) {
         // Current buffer is already a valid value; advance to the next segment.
         this.#advanceSegment()
         return
       }
     }
 
-    this.#segmentBuffer = newBuffer
-
     // Write the buffered text into the active segment and reformat.
+    // Consecutive keystrokes into the same segment form a single undo step.
     const values = this.#currentValues()
-    values[this.#activeSegment] = this.#segmentBuffer
-    this.input.value = this.#formatGuarded(values)
-    this.#dispatch('input')
-    this.#updateValidity()
-    this.#emit('segmentchange', { index: this.#activeSegment, value: this.#segmentBuffer })
+    values[this.#activeSegment] = newBuffer
+    const written = this.#writeValues(values, this.#activeSegment, { coalesce: newBuffer.length > 1, source: 'type' })
 
     // Re-highlight the segment (without clearing the buffer).
     highlightSegment(this.input, this.#activeSegment, this.getSegmentRanges())
+    // A vetoed keystroke is dropped from the buffer as well.
+    if (!written) return
+    this.#segmentBuffer = newBuffer
 
     // Auto-advance when the buffer can no longer grow into a valid value.
-    if (this.#shouldAutoAdvance(seg, this.#segmentBuffer, radix)) {
+    if (this.#shouldAutoAdvance(seg, this.#segmentBuffer, radix, max)) {
       this.#advanceSegment()
     }
   }
@@ -828,32 +2288,33 @@ class SegmentedInput extends EventTarget {
    * Mirrors Chrome's `<input type=date>` behavior:
    * - advance when the buffer is as long as the formatted maximum value; or
    * - advance when the smallest possible next digit would already overflow max.
-   * @param {{max?: number, step?: number, maxLength?: number}} seg
+   * @param {{step?: number, maxLength?: number}} seg
    * @param {string} buffer
    * @param {number} radix
+   * @param {number|undefined} max - the segment's resolved maximum (see #bounds)
    * @returns {boolean}
    */
-  #shouldAutoAdvance (seg, buffer, radix) {
+  #shouldAutoAdvance (seg, buffer, radix, max) {
     // Explicit maxLength always wins (used for non-numeric segments like UUID hex groups)
     if (seg.maxLength !== undefined) return buffer.length >= seg.maxLength
 
-    if (seg.max === undefined) return false
+    if (max === undefined) return false
 
     if (this.#isDecimalSegment(seg)) {
       // For decimal segments (e.g. alpha 0–1 step 0.1) derive max display length
       const decimals = (String(seg.step).split('.')[1] || '').length
-      const maxLen = String(seg.max.toFixed(decimals)).length
+      const maxLen = String(max.toFixed(decimals)).length
       return buffer.length >= maxLen
     }
 
     // Integer / hex segment
-    const maxLen = Math.floor(seg.max).toString(radix).length
+    const maxLen = Math.floor(max).toString(radix).length
     if (buffer.length >= maxLen) return true
 
     // Would the smallest possible next digit overflow? (e.g. "3" in a max=12 field:
     // 3 * 10 = 30 > 12, so no two-digit number starting with 3 is valid → advance)
     const val = parseInt(buffer, radix)
-    return val * radix > seg.max
+    return val * radix > max
   }
 
   /**
@@ -862,7 +2323,8 @@ class SegmentedInput extends EventTarget {
    * - Empty value (`""`) → clear custom validity; `required` handles it natively.
    * - Any segment still shows its placeholder (partial or fully unfilled) →
    *   set a custom validity message so the form fails validation on submit.
-   * - All segments have real values → clear custom validity (input is valid).
+   * - All segments have real values → run the cross-segment `validate` hook
+   *   (if any) and use its message; otherwise clear custom validity.
    */
   #updateValidity () {
     if (!this.input.value) {
@@ -871,9 +2333,99 @@ class SegmentedInput extends EventTarget {
     }
     const values = this.#currentValues()
     const hasPlaceholder = this.#placeholderValues.some((p, i) =>
-      !this.#isActionSegment(this.segments[i]) && values[i] === p
+      this.#isRequiredSegment(this.segments[i]) && values[i] === p
     )
-    this.input.setCustomValidity(hasPlaceholder ? this.#invalidMessage : '')
+    if (hasPlaceholder) {
+      this.input.setCustomValidity(this.#invalidMessage)
+      return
+    }
+    // Per-segment checks first (their messages name one segment), then the cross-segment one.
+    for (const [i, seg] of this.segments.entries()) {
+      const message = seg.validate?.(values[i], values)
+      if (message) {
+        this.input.setCustomValidity(message)
+        return
+      }
+    }
+    this.input.setCustomValidity(this.#validate?.(values, this.#options) || '')
+  }
+
+  /**
+   * A spin button when some segment is a bounded number (a time, an IPv4
+   * address); a combobox while `listbox` is on, since the input then opens a
+   * popup list.  Other layouts (a name, a UUID) stay a plain textbox.  A
+   * `role` set by the page is left alone.
+   */
+  #updateRole () {
+    const input = this.input
+    this.#numericLayout = this.segments.some(seg => this.#isNumericSegment(seg) && (seg.min != null || seg.max != null))
+    const role = this.#listboxClass ? 'combobox' : this.#numericLayout ? 'spinbutton' : null
+    if (this.#ownsRole || !input.hasAttribute('role')) {
+      if (role) input.setAttribute('role', role)
+      else input.removeAttribute('role')
+      this.#ownsRole = !!role
+    }
+    if (this.#listboxClass) {
+      input.setAttribute('aria-haspopup', 'listbox')
+      if (!input.hasAttribute('aria-expanded')) input.setAttribute('aria-expanded', 'false')
+    } else if (this.#ownsPopupAria) {
+      input.removeAttribute('aria-haspopup')
+      input.removeAttribute('aria-expanded')
+    }
+    this.#ownsPopupAria = !!this.#listboxClass
+  }
+
+  /**
+   * Describe the active segment on the input for screen readers:
+   * `aria-valuenow` / `aria-valuemin` / `aria-valuemax` for numeric segments
+   * of a spin button, and an `aria-valuetext` naming the segment, e.g.
+   * "hours, 12 of 23", "month, blank" or "period, PM".
+   */
+  #updateAria () {
+    const index = this.#activeSegment
+    const seg = this.segments[index]
+    if (!seg) return
+    const values = this.input.value ? this.#currentValues() : this.#placeholderValues
+    const value = values[index]
+    const filled = value !== this.#placeholderValues[index] || this.#isActionSegment(seg)
+    // A combobox takes no aria-valuenow/min/max; its value is the text alone.
+    const numeric = this.#numericLayout && !this.#listboxClass && this.#isNumericSegment(seg)
+    const { min, max } = numeric ? this.#bounds(seg, values) : {}
+    const radix = seg.radix ?? 10
+    const now = filled && numeric ? (radix === 10 ? parseFloat(value) : parseInt(value, radix)) : NaN
+
+    const set = (name, val) => {
+      if (val == null || Number.isNaN(val)) this.input.removeAttribute(name)
+      else this.input.setAttribute(name, val)
+    }
+    set('aria-valuenow', now)
+    set('aria-valuemin', min)
+    set('aria-valuemax', max)
+    const text = !filled
+      ? 'blank'
+      : max !== undefined ? `${value} of ${radix === 10 ? max : max.toString(radix).toUpperCase()}` : value
+    set('aria-valuetext', seg.label ? `${seg.label}, ${text}` : text)
+    set('aria-readonly', this.#isLocked(seg) ? 'true' : null)
+  }
+
+  /**
+   * Current segment values, or `null` while the input is empty or any
+   * non-action segment still shows its placeholder.
+   * @returns {string[] | null}
+   */
+  #filledValues () {
+    if (!this.input.value) return null
+    const values = this.#currentValues()
+    const unfilled = this.#placeholderValues.some((p, i) =>
+      this.#isRequiredSegment(this.segments[i]) && values[i] === p
+    )
+    return unfilled ? null : values
+  }
+
+  /** Replace the display text with `blurFormat`'s once every segment is filled. */
+  #showBlurFormat () {
+    const values = this.#blurFormat && this.#filledValues()
+    if (values) this.input.value = this.#blurFormat(values)
   }
 
   /**
@@ -886,11 +2438,21 @@ class SegmentedInput extends EventTarget {
     if (!this.input.value) return true
     const values = this.#currentValues()
     return this.#placeholderValues.every((p, i) => {
-      if (this.#isActionSegment(this.segments[i])) return true // action segs don't affect state
+      if (this.#isActionSegment(this.segments[i]) || this.#isLocked(this.segments[i])) return true // nor do action and locked segs
       return values[i] === p
     })
   }
 
+  /**
+   * Returns true when the segment holds a number: neither an enum (`options`),
+   * a `type: 'text'` segment nor an action segment.
+   * @param {Segment} seg
+   * @returns {boolean}
+   */
+  #isNumericSegment (seg) {
+    return !seg.options && seg.type !== 'text' && !this.#isActionSegment(seg)
+  }
+
   /**
    * Returns true when the segment's step implies decimal values (e.g. step=0.1).
    * @param {{step?: number}} seg
@@ -914,6 +2476,45 @@ class SegmentedInput extends EventTarget {
     return !!(seg && (seg.type === 'action' || typeof seg.onClick === 'function'))
   }
 
+  /**
+   * Whether the segment must be filled for the value to be complete: neither
+   * an action segment nor `optional`.
+   * @param {Segment} seg
+   * @returns {boolean}
+   */
+  #isRequiredSegment (seg) {
+    return !this.#isActionSegment(seg) && !seg?.optional
+  }
+
+  /**
+   * Whether the user may not change the segment (`readonly` or `disabled`).
+   * @param {Segment} seg
+   * @returns {boolean}
+   */
+  #isLocked (seg) {
+    return !!(seg?.readonly || seg?.disabled)
+  }
+
+  /**
+   * Whether the `<input>` itself is `readonly` or `disabled`: segments can
+   * still be focused and copied, but nothing is edited.
+   * @returns {boolean}
+   */
+  #isReadOnly () {
+    return this.input.readOnly || this.input.disabled
+  }
+
+  /**
+   * Segment values of a blank input: placeholders, except that locked
+   * segments show their fixed `value`.
+   * @returns {string[]}
+   */
+  #blankValues () {
+    return this.segments.map((seg, i) =>
+      this.#isLocked(seg) && seg.value != null ? String(seg.value) : this.#placeholderValues[i]
+    )
+  }
+
   /**
    * When a segment is a selectable action segment with `options`, returns the
    * currently selected option value from the live input value; otherwise returns
@@ -987,9 +2588,87 @@ class SegmentedInput extends EventTarget {
     return this.#parse(this.#stripZWS(this.input.value))
   }
 
+  /**
+   * Swap in the segment definitions `segmentsFor` picks for `values`, keeping
+   * the placeholder values and the active index in step with them.
+   * @param {string[]} values
+   * @returns {Segment[]|null} the segments replaced, or null when the layout stays
+   */
+  #reshape (values) {
+    const segments = this.#segmentsFor(values)
+    if (!segments || segments === this.segments) return null
+    const previous = this.segments
+    this.segments = segments
+    this.#placeholderValues = segments.map(segmentPlaceholder)
+    this.#formattedPlaceholder = this.#formatGuarded(this.#blankValues())
+    if (this.#activeSegment >= segments.length) this.#activeSegment = segments.length - 1
+    return previous
+  }
+
+  /**
+   * Bring `segments` in line with the value just written: a `repeat` list gets
+   * as many items as the value has, and `segmentsFor` may swap in another
+   * layout.  Only the write paths call this; reading the value (`value`,
+   * `getSegmentRanges()`) never changes `segments`.
+   * @returns {Segment[]|null} the segments `segmentsFor` replaced, for `onSegmentsChange`
+   */
+  #syncSegments () {
+    const values = this.#currentValues()
+    if (this.#repeat) this.#resizeList(values.length)
+    return this.#segmentsFor ? this.#reshape(values) : null
+  }
+
+  /**
+   * Grow or shrink `segments` (and the placeholder values) of a `repeat` list
+   * to `count` items, so every index-based lookup sees as many segments as
+   * the value has items.
+   * @param {number} count
+   */
+  #resizeList (count) {
+    if (count === this.segments.length) return
+    this.segments = Array(count).fill(this.#repeat.segment)
+    const placeholder = this.#placeholderValues[0]
+    this.#placeholderValues = Array(count).fill(placeholder)
+    if (this.#activeSegment >= count) this.#activeSegment = count - 1
+  }
+
+  /**
+   * Append an empty item to a `repeat` list while its last item is active, and
+   * focus it.  Returns false when the list is full or the last item is still empty.
+   * @returns {boolean}
+   */
+  #appendListItem () {
+    const values = this.#currentValues()
+    const last = values.length - 1
+    if (this.#activeSegment !== last || values.length >= this.#repeat.max) return false
+    if (values[last] === this.#placeholderValues[last]) return false
+    values.push(this.#placeholderValues[0])
+    this.#writeValues(values, last + 1, { source: 'type' })
+    this.focusSegment(last + 1)
+    return true
+  }
+
+  /**
+   * Remove the active item of a `repeat` list when it is the empty last one
+   * and the list has more than `min` items, then focus the previous item.
+   * @returns {boolean} whether an item was removed
+   */
+  #removeListItem () {
+    if (!this.#repeat) return false
+    const values = this.#currentValues()
+    const last = values.length - 1
+    if (this.#activeSegment !== last || values.length <= this.#repeat.min) return false
+    if (values[last] !== this.#placeholderValues[last]) return false
+    values.pop()
+    this.#writeValues(values, last - 1, { source: 'clear' })
+    this.focusSegment(last - 1)
+    return true
+  }
+
   /**
    * Starting from `fromIndex`, scan in `direction` (+1 or -1) and return the
-   * index of the first non-action segment.  Returns `null` if none is found.
+   * index of the first segment that can be edited (not an action, readonly or
+   * disabled segment).  Returns `null` if none is found.
    * @param {number} fromIndex
    * @param {number} direction - +1 (forward) or -1 (backward)
    * @returns {number|null}
@@ -997,16 +2676,16 @@ class SegmentedInput extends EventTarget {
   #findEditable (fromIndex, direction) {
     let i = fromIndex
     while (i >= 0 && i < this.segments.length) {
-      if (!this.#isActionSegment(this.segments[i])) return i
+      if (!this.#isActionSegment(this.segments[i]) && !this.#isLocked(this.segments[i])) return i
       i += direction
     }
     return null
   }
 
   /**
-   * Like `#findEditable`, but also returns selectable action segments so that
-   * Arrow/Tab keyboard navigation can reach them.  Non-selectable action segments
-   * are still skipped.
+   * Like `#findEditable`, but also returns readonly and selectable action segments
+   * so that Arrow/Tab keyboard navigation can reach them.  Non-selectable action
+   * segments and disabled segments are still skipped.
    * @param {number} fromIndex
    * @param {number} direction - +1 (forward) or -1 (backward)
    * @returns {number|null}
@@ -1015,7 +2694,24 @@ class SegmentedInput extends EventTarget {
     let i = fromIndex
     while (i >= 0 && i < this.segments.length) {
       const seg = this.segments[i]
-      if (!this.#isActionSegment(seg) || seg.selectable) return i
+      if (!seg.disabled && (!this.#isActionSegment(seg) || seg.selectable)) return i
+      i += direction
+    }
+    return null
+  }
+
+  /**
+   * Like `#findEditable`, but also returns readonly segments: the ones a click
+   * or `focusSegment()` may land on.  Action and disabled segments are skipped.
+   * @param {number} fromIndex
+   * @param {number} direction - +1 (forward) or -1 (backward)
+   * @returns {number|null}
+   */
+  #findFocusable (fromIndex, direction) {
+    let i = fromIndex
+    while (i >= 0 && i < this.segments.length) {
+      const seg = this.segments[i]
+      if (!this.#isActionSegment(seg) && !seg.disabled) return i
       i += direction
     }
     return null
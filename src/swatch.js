@@ -0,0 +1,144 @@
+/*! <segmented-input> MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+
+import { parseColor, rgbToHsl, hslToRgb, colorToHex } from './presets.js'
+
+/**
+ * swatch.js
+ *
+ * Live colour preview and picker for the `rgbaSwatch` / `hslaSwatch` presets:
+ *
+ *   import { ColorSwatch } from 'segmented-input/src/swatch.js'
+ *   new ColorSwatch(new SegmentedInput(el, presets.rgbaSwatch))
+ *
+ * The current colour is painted as a background square behind the preset's
+ * swatch segment (an em space) and repainted on every `segmentchange`.
+ * Clicking the swatch, or Enter while it is focused, opens the browser's
+ * colour picker; the picked colour is written back into the segments in one
+ * step, keeping the alpha (native pickers have none).
+ *
+ * Any preset with an action segment and `toObject` / `fromObject` in the
+ * `{ r, g, b, a }` or `{ h, s, l, a }` shape works the same way.
+ *
+ * @license MIT
+ */
+
+/** Inline background properties the swatch paints (restored by destroy()). */
+const PAINTED = ['backgroundImage', 'backgroundRepeat', 'backgroundPosition', 'backgroundSize']
+
+class ColorSwatch {
+  #instance
+  /** Index of the swatch segment. */
+  #index
+  /** Whether the segments hold HSL rather than RGB. */
+  #hsl
+  /** The input's own inline background, put back when nothing is painted. */
+  #style
+  /** @type {HTMLInputElement|null} */
+  #picker = null
+  #onSegmentChange
+
+  /**
+   * @param {import('./segmented-input.js').SegmentedInput} instance
+   */
+  constructor (instance) {
+    const index = instance.segments.findIndex(seg => seg.type === 'action' && typeof seg.onClick !== 'function')
+    if (index === -1) throw new TypeError('ColorSwatch: no action segment to show the swatch in')
+    this.#instance = instance
+    this.#index = index
+    this.#hsl = instance.segments.some(seg => seg.label === 'hue')
+    const { style } = instance.input
+    this.#style = Object.fromEntries(PAINTED.map(name => [name, style[name]]))
+
+    instance.updateSegment(index, { onClick: () => this.showPicker() })
+    this.#onSegmentChange = () => this.#paint(this.color)
+    instance.addEventListener('segmentchange', this.#onSegmentChange)
+    this.#paint(this.color)
+  }
+
+  /**
+   * The colour in the segments as RGB, or null while any segment is unfilled.
+   * @type {{r: number, g: number, b: number, a: number} | null}
+   */
+  get color () {
+    const object = this.#instance.valueAsObject
+    return object && this.#hsl ? hslToRgb(object) : object
+  }
+
+  /**
+   * Open the native colour picker on the current colour.  Must be called
+   * from a user gesture (the swatch's click / Enter already is).
+   */
+  showPicker () {
+    const { input } = this.#instance
+    if (input.readOnly || input.disabled) return
+    const picker = this.#picker ??= this.#createPicker()
+    // Anchor the (invisible) picker under the input so the popup opens there.
+    const rect = input.getBoundingClientRect()
+    picker.style.left = `${rect.left}px`
+    picker.style.top = `${rect.bottom}px`
+    picker.value = colorToHex({ ...(this.color ?? { r: 0, g: 0, b: 0 }), a: 1 })
+    try {
+      picker.showPicker()
+    } catch {
+      picker.click()
+    }
+  }
+
+  /** Remove the swatch and the picker and detach from the instance. */
+  destroy () {
+    this.#instance.removeEventListener('segmentchange', this.#onSegmentChange)
+    this.#instance.updateSegment(this.#index, { onClick: undefined })
+    this.#paint(null)
+    this.#picker?.remove()
+    this.#picker = null
+  }
+
+  /**
+   * A hidden `<input type="color">` whose chosen colour is written to the
+   * segments.
+   * @returns {HTMLInputElement}
+   */
+  #createPicker () {
+    const picker = this.#instance.input.ownerDocument.createElement('input')
+    picker.type = 'color'
+    picker.tabIndex = -1
+    picker.setAttribute('aria-hidden', 'true')
+    picker.style.cssText = 'position: fixed; width: 0; height: 0; padding: 0; border: 0; opacity: 0; pointer-events: none;'
+    picker.addEventListener('change', () => {
+      const color = { ...parseColor(picker.value), a: this.color?.a ?? 1 }
+      this.#instance.valueAsObject = this.#hsl ? rgbToHsl(color) : color
+    })
+    this.#instance.input.ownerDocument.body.append(picker)
+    return picker
+  }
+
+  /**
+   * Paint `color` as a square behind the swatch segment, or restore the
+   * input's own background for null.
+   * @param {{r: number, g: number, b: number, a: number} | null} color
+   */
+  #paint (color) {
+    const { input } = this.#instance
+    const range = color && input.value ? this.#instance.getSegmentRanges()[this.#index] : null
+    if (!range) {
+      Object.assign(input.style, this.#style)
+      return
+    }
+    const computed = getComputedStyle(input)
+    const ctx = input.ownerDocument.createElement('canvas').getContext('2d')
+    ctx.font = computed.font
+    const x = parseFloat(computed.paddingLeft) + ctx.measureText(input.value.slice(0, range.start)).width - input.scrollLeft
+    const size = ctx.measureText(range.value).width
+    const css = `rgb(${color.r} ${color.g} ${color.b} / ${color.a})`
+    Object.assign(input.style, {
+      backgroundImage: `linear-gradient(${css}, ${css})`,
+      backgroundRepeat: 'no-repeat',
+      backgroundPosition: `${x}px center`,
+      backgroundSize: `${size}px ${size}px`,
+    })
+  }
+}
+
+export {
+  ColorSwatch,
+}
@@ -0,0 +1,215 @@
+/*! <segmented-input> MIT License. Jimmy Wärting <https://jimmy.warting.se/opensource> */
+
+/**
+ * template.js
+ *
+ * Build complete SegmentedInput options from a format template instead of
+ * hand-writing `segments`, `format` and a `parse` regex:
+ *
+ *   import { fromTemplate } from 'segmented-input/src/template.js'
+ *   new SegmentedInput(el, fromTemplate('rgba({r:0-255}, {g:0-255}, {b:0-255}, {a:0-1/0.1})'))
+ *
+ * Template syntax — literal text with `{name:spec}` fields:
+ *
+ *   {r:0-255}        integer range (min-max)
+ *   {a:0-1/0.1}      range with a step; a decimal step makes a decimal segment
+ *   {m:01-12}        a leading zero on `min` fixes the width: values are zero-padded
+ *                    to that many characters and typing auto-advances when it is full
+ *   {b:00-ff}        hex range (letters in the range, or add `:hex`), radix 16
+ *   {op:+|-|*|/}     enum: `|`-separated options, cycled with ↑/↓
+ *   {first:text:20}  free text, optional max length
+ *   {{ and }}        literal braces
+ *
+ * Placeholders are derived from the field name (`{hh:00-23}` → 'hh') unless the
+ * name's first letter appears in the literal text (as `r` does in "rgba("),
+ * in which case dashes are used.  The generated `parse` matches the literal
+ * text around the fields, so placeholder strings round-trip unchanged.
+ * Fixed-width fields may sit right next to each other ('#{r:00-ff}{g:00-ff}{b:00-ff}');
+ * two variable-width fields need literal text between them.
+ *
+ * @license MIT
+ */
+
+/** Fallback placeholder characters, tried in order after the field name's first letter. */
+const PLACEHOLDER_CHARS = ['-', '_', '?', '#', '•']
+
+/**
+ * Escape a string for use inside a RegExp.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp (str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+}
+
+/**
+ * Split a template into alternating literal strings and field specs.
+ * Always returns one more literal than fields (possibly empty strings).
+ * @param {string} template
+ * @returns {{literals: string[], fields: {name: string, spec: string}[]}}
+ */
+function tokenize (template) {
+  const literals = ['']
+  const fields = []
+  const token = /\{\{|\}\}|\{([^{}]*)\}/g
+  let pos = 0
+  let m
+  while ((m = token.exec(template))) {
+    literals[literals.length - 1] += template.slice(pos, m.index)
+    pos = token.lastIndex
+    if (m[0] === '{{' || m[0] === '}}') {
+      literals[literals.length - 1] += m[0][0]
+      continue
+    }
+    const colon = m[1].indexOf(':')
+    const name = (colon === -1 ? m[1] : m[1].slice(0, colon)).trim()
+    if (!name) throw new TypeError(`fromTemplate: field "{${m[1]}}" needs a name`)
+    fields.push({ name, spec: colon === -1 ? '' : m[1].slice(colon + 1) })
+    literals.push('')
+  }
+  literals[literals.length - 1] += template.slice(pos)
+  return { literals, fields }
+}
+
+/**
+ * Turn one field spec into a segment definition (without placeholder).
+ * @param {{name: string, spec: string}} field
+ * @returns {{segment: object, width: number, fixed: boolean}}
+ *   `width` is the display width used for the placeholder; `fixed` means
+ *   values are zero-padded to it.
+ */
+function buildSegment ({ name, spec }) {
+  const [head = '', ...modifiers] = spec.split(':')
+
+  if (head.includes('|')) {
+    const options = head.split('|')
+    return { segment: { value: options[0], options }, width: 1, fixed: false }
+  }
+
+  if (!head || head === 'text') {
+    const maxLength = Number(modifiers.find(mod => /^\d+$/.test(mod))) || undefined
+    return { segment: { value: '', type: 'text', maxLength }, width: Math.min(maxLength ?? name.length, name.length), fixed: false }
+  }
+
+  const range = head.match(/^(-?[\da-fA-F.]+)-(-?[\da-fA-F.]+)(?:\/([\d.]+))?$/)
+  if (!range) throw new TypeError(`fromTemplate: cannot read "{${name}:${spec}}"`)
+  const [, minText, maxText, stepText] = range
+  const hex = modifiers.includes('hex') || /[a-fA-F]/.test(minText + maxText)
+  const radix = hex ? 16 : 10
+  const min = hex ? parseInt(minText, 16) : Number(minText)
+  const max = hex ? parseInt(maxText, 16) : Number(maxText)
+  const step = stepText ? Number(stepText) : 1
+  if ([min, max, step].some(isNaN)) throw new TypeError(`fromTemplate: cannot read "{${name}:${spec}}"`)
+
+  const decimals = (String(step).split('.')[1] || '').length
+  const fixed = minText.length > 1 && minText.startsWith('0') && !minText.includes('.')
+  const text = n => decimals ? n.toFixed(decimals) : n.toString(radix)
+  // The longer bound sets the width: -100–5 needs four characters, not one.
+  const width = fixed ? minText.length : Math.max(text(min).length, text(max).length)
+
+  const segment = {
+    value: fixed ? minText : decimals ? min.toFixed(decimals) : min.toString(radix).toUpperCase(),
+    min,
+    max,
+    step,
+    pattern: hex ? /[0-9a-fA-F]/ : decimals ? /[\d.]/ : /\d/,
+  }
+  if (hex) segment.radix = 16
+  if (fixed) segment.maxLength = width
+  return { segment, width, fixed }
+}
+
+/**
+ * Build `SegmentedInputOptions` (segments, format, parse, inputmode) from a template.
+ *
+ * @example
+ * const time = fromTemplate('{hh:00-23}:{mm:00-59}:{ss:00-59}')
+ * time.format(['9', '05', '00']) // → '09:05:00'
+ * time.parse('hh:mm:ss')         // → ['hh', 'mm', 'ss']
+ *
+ * @param {string} template
+ * @returns {import('./segmented-input.js').SegmentedInputOptions}
+ */
+function fromTemplate (template) {
+  const { literals, fields } = tokenize(template)
+  if (!fields.length) throw new TypeError('fromTemplate: the template has no {fields}')
+  const built = fields.map(buildSegment)
+  // Fixed-width fields split themselves ('#{r:00-ff}{g:00-ff}{b:00-ff}'); any
+  // two variable-width ones need literal text somewhere between them.
+  let previous = -1
+  for (let i = 0; i < fields.length; i++) {
+    if (built[i].fixed) continue
+    if (previous !== -1 && !literals.slice(previous + 1, i + 1).join('')) {
+      throw new TypeError(`fromTemplate: "{${fields[previous].name}}" and "{${fields[i].name}}" need literal text between them`)
+    }
+    previous = i
+  }
+
+  const literalChars = new Set(literals.join(''))
+  // Text fields accept anything but whitespace and the template's literal characters,
+  // so typed text can never break the generated parse.
+  const textPattern = new RegExp(`[^\\s${[...literalChars].map(c => c.replace(/[\\\]\[^-]/g, '\\$&')).join('')}]`, 'u')
+
+  const segments = built.map(({ segment, width }, i) => {
+    const { name } = fields[i]
+    if (segment.type === 'text') segment.pattern = textPattern
+    // A placeholder must never contain literal text (getSegmentRanges locates
+    // segments with indexOf) nor, for numeric and enum fields, characters the
+    // user can type — otherwise a real value could look unfilled.
+    const usable = char => !literalChars.has(char) && (segment.type === 'text' || !(
+      segment.pattern?.test(char) || segment.options?.some(o => o.includes(char))
+    ))
+    let placeholder
+    if ((segment.type === 'text' || name.length === width) && [...name].every(usable)) {
+      // Fields named like their placeholder ('yyyy', 'hh') keep the name as-is.
+      placeholder = name
+    } else {
+      const char = [name[0], ...PLACEHOLDER_CHARS].find(usable) ?? PLACEHOLDER_CHARS.at(-1)
+      placeholder = segment.options ? char : char.repeat(Math.max(width, 2))
+    }
+    return { label: name, ...segment, placeholder }
+  })
+  const placeholders = segments.map(s => s.placeholder)
+
+  // Literal whitespace matches any run of whitespace so hand-typed values parse too;
+  // a whitespace-only separator still needs at least one, or the lazy captures collapse.
+  const literalSource = lit => /^\s+$/.test(lit)
+    ? '\\s+'
+    : lit.split(/(\s+)/).map(part => /^\s+$/.test(part) ? '\\s*' : escapeRegExp(part)).join('')
+  // A fixed-width field touching another field is captured by its width;
+  // everything else lazily up to the next literal, so '9:5' parses too.
+  const touching = i => (i > 0 && !literals[i]) || (i < fields.length - 1 && !literals[i + 1])
+  const capture = i => built[i].fixed && touching(i) ? `(.{${built[i].width}})` : '(.*?)'
+  const matcher = new RegExp(
+    '^\\s*' + literals.map((lit, i) => literalSource(lit) + (i < fields.length ? capture(i) : '')).join('') + '\\s*$',
+    'su',
+  )
+
+  const inputmode = segments.some(s => s.type === 'text' || s.radix === 16)
+    ? 'text'
+    : segments.some(s => String(s.step ?? 1).includes('.')) ? 'decimal' : 'numeric'
+
+  return {
+    inputmode,
+    segments,
+    format (values) {
+      let out = literals[0]
+      values.forEach((value, i) => {
+        let v = String(value ?? placeholders[i])
+        const digits = segments[i].radix === 16 ? /^[\da-fA-F]+$/ : /^\d+$/
+        if (built[i].fixed && v !== placeholders[i] && digits.test(v)) v = v.padStart(built[i].width, '0')
+        out += v + literals[i + 1]
+      })
+      return out
+    },
+    parse (str) {
+      const m = String(str).match(matcher)
+      if (!m) return [...placeholders]
+      return placeholders.map((p, i) => m[i + 1].trim() || p)
+    },
+  }
+}
+
+export {
+  fromTemplate,
+}